@@ -1,43 +1,132 @@
-const jwt = require('jsonwebtoken');
-const { UserModel } = require('../models/user');
+const { UserModel, SessionModel, PersonalAccessTokenModel } = require('../models/user');
+const KeyRingService = require('../services/keyring');
+const AuditService = require('../services/audit');
+
+// Personal access tokens are opaque strings with this prefix (JWTs never start with it)
+const API_TOKEN_PREFIX = 'zpq_';
+
+// Reject a request and record the failure in the security log. Missing and expired
+// tokens are part of every client's normal refresh cycle, so those aren't recorded.
+const denyAccess = (req, res, status, message, code, userId = null) => {
+  if (code !== 'TOKEN_MISSING' && code !== 'TOKEN_EXPIRED') {
+    AuditService.record(req, 'auth.access_denied', 'failure', {
+      userId,
+      details: { code, method: req.method, path: req.originalUrl }
+    });
+  }
+
+  return res.status(status).json({
+    success: false,
+    message,
+    code
+  });
+};
+
+// Load a token's user. Calls back with a rejection code instead of a user for deleted or
+// deactivated accounts and tokens issued (issuedAt, in seconds) before the last password change.
+const findTokenUser = (userId, issuedAt, callback) => {
+  UserModel.findById(userId, (err, user) => {
+    if (err) return callback(err);
+
+    if (!user || !user.is_active) {
+      return callback(null, null, 'USER_NOT_FOUND');
+    }
+
+    if (user.password_changed_at && issuedAt < Math.floor(new Date(user.password_changed_at).getTime() / 1000)) {
+      return callback(null, null, 'TOKEN_REVOKED');
+    }
+
+    callback(null, user);
+  });
+};
+
+// Shape of req.user for authenticated requests
+const formatRequestUser = (user, extra) => ({
+  id: user.id,
+  email: user.email,
+  username: user.username,
+  isVerified: !!user.is_verified,
+  role: user.role,
+  ...extra
+});
+
+// Load the token's user and attach it to the request, rejecting the request if it can't be used
+const attachUser = (req, res, next, userId, issuedAt, extra) => {
+  findTokenUser(userId, issuedAt, (err, user, rejection) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database error during authentication'
+      });
+    }
+
+    if (rejection === 'USER_NOT_FOUND') {
+      return denyAccess(req, res, 401, 'User not found or inactive', 'USER_NOT_FOUND', userId);
+    }
+
+    if (rejection === 'TOKEN_REVOKED') {
+      return denyAccess(req, res, 401, 'Token was issued before the password was changed', 'TOKEN_REVOKED', userId);
+    }
+
+    req.user = formatRequestUser(user, extra);
+    next();
+  });
+};
+
+// Authenticate a personal access token. Its scopes are enforced by requireScope.
+const authenticateApiToken = (token, req, res, next) => {
+  PersonalAccessTokenModel.touch(token, req.ip, (err, apiToken) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database error during authentication'
+      });
+    }
+
+    if (!apiToken) {
+      return denyAccess(req, res, 401, 'API token is invalid, expired or revoked', 'API_TOKEN_INVALID');
+    }
+
+    const createdAt = Math.floor(new Date(apiToken.created_at).getTime() / 1000);
+
+    attachUser(req, res, next, apiToken.user_id, createdAt, {
+      sessionId: null,
+      tokenId: apiToken.id,
+      scopes: apiToken.scopes
+    });
+  });
+};
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
   if (!token) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Access token required',
-      code: 'TOKEN_MISSING'
-    });
+    return denyAccess(req, res, 401, 'Access token required', 'TOKEN_MISSING');
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return authenticateApiToken(token, req, res, next);
+  }
+
+  KeyRingService.verify(token, (err, decoded) => {
     if (err) {
       if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({ 
-          success: false, 
-          message: 'Token expired',
-          code: 'TOKEN_EXPIRED'
-        });
+        return denyAccess(req, res, 401, 'Token expired', 'TOKEN_EXPIRED');
       } else if (err.name === 'JsonWebTokenError') {
-        return res.status(403).json({ 
-          success: false, 
-          message: 'Invalid token',
-          code: 'TOKEN_INVALID'
-        });
+        return denyAccess(req, res, 403, 'Invalid token', 'TOKEN_INVALID');
       } else {
-        return res.status(403).json({ 
-          success: false, 
-          message: 'Token verification failed',
-          code: 'TOKEN_VERIFICATION_FAILED'
-        });
+        return denyAccess(req, res, 403, 'Token verification failed', 'TOKEN_VERIFICATION_FAILED');
       }
     }
 
-    // Verify user still exists and is active
-    UserModel.findById(decoded.userId, (err, user) => {
+    // Only session-bound access tokens are accepted here (refresh tokens are opaque)
+    if (decoded.type !== 'access' || !decoded.sid) {
+      return denyAccess(req, res, 403, 'Invalid token', 'TOKEN_INVALID');
+    }
+
+    // Reject tokens whose session was revoked, and record activity on live ones
+    SessionModel.touch(decoded.sid, req.ip, (err, session) => {
       if (err) {
         return res.status(500).json({
           success: false,
@@ -45,57 +134,103 @@ const authenticateToken = (req, res, next) => {
         });
       }
 
-      if (!user || !user.is_active) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found or inactive',
-          code: 'USER_NOT_FOUND'
-        });
+      if (!session || session.user_id !== decoded.userId) {
+        return denyAccess(req, res, 401, 'Session has been revoked', 'SESSION_REVOKED', decoded.userId);
       }
 
-      req.user = {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        isVerified: !!user.is_verified
-      };
-      next();
+      // Verify user still exists and is active
+      attachUser(req, res, next, decoded.userId, decoded.iat, {
+        sessionId: decoded.sid
+      });
     });
   });
 };
 
+// Attach the user when the request carries a usable access or API token. Missing, invalid,
+// expired or revoked credentials leave req.user null instead of rejecting the request.
 const optionalAuth = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
+  req.user = null;
+
+  const attachIfValid = (userId, issuedAt, extra) => {
+    findTokenUser(userId, issuedAt, (err, user) => {
+      if (!err && user) {
+        req.user = formatRequestUser(user, extra);
+      }
+      next();
+    });
+  };
+
   if (!token) {
-    req.user = null;
     return next();
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      req.user = null;
-    } else {
-      req.user = decoded;
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return PersonalAccessTokenModel.touch(token, req.ip, (err, apiToken) => {
+      if (err || !apiToken) return next();
+
+      attachIfValid(apiToken.user_id, Math.floor(new Date(apiToken.created_at).getTime() / 1000), {
+        sessionId: null,
+        tokenId: apiToken.id,
+        scopes: apiToken.scopes
+      });
+    });
+  }
+
+  KeyRingService.verify(token, (err, decoded) => {
+    if (err || decoded.type !== 'access' || !decoded.sid) {
+      return next();
     }
-    next();
+
+    SessionModel.touch(decoded.sid, req.ip, (err, session) => {
+      if (err || !session || session.user_id !== decoded.userId) {
+        return next();
+      }
+
+      attachIfValid(decoded.userId, decoded.iat, { sessionId: decoded.sid });
+    });
   });
 };
 
 const requireVerified = (req, res, next) => {
   if (!req.user.isVerified) {
-    return res.status(403).json({
-      success: false,
-      message: 'Email verification required',
-      code: 'EMAIL_NOT_VERIFIED'
-    });
+    return denyAccess(req, res, 403, 'Email verification required', 'EMAIL_NOT_VERIFIED');
+  }
+  next();
+};
+
+// Allow only users holding one of the given roles (use after authenticateToken)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return denyAccess(req, res, 403, 'Insufficient permissions', 'INSUFFICIENT_ROLE');
+  }
+  next();
+};
+
+// Require an API token to carry the given scope. Interactive sessions have every scope.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user.scopes && !req.user.scopes.includes(scope)) {
+    return denyAccess(req, res, 403, `API token is missing the ${scope} scope`, 'INSUFFICIENT_SCOPE');
+  }
+  next();
+};
+
+// Reject API tokens on account-management routes, which need an interactive session
+const requireSession = (req, res, next) => {
+  if (!req.user.sessionId) {
+    return denyAccess(req, res, 403, 'This endpoint cannot be used with an API token', 'SESSION_REQUIRED');
   }
   next();
 };
 
 module.exports = { 
+  API_TOKEN_PREFIX,
   authenticateToken, 
   optionalAuth, 
-  requireVerified 
+  requireVerified,
+  requireRole,
+  requireScope,
+  requireSession
 };
\ No newline at end of file
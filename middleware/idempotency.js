@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { IdempotencyKeyModel } = require('../models/user');
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Fingerprint of what the request asks for, so a key can't be reused for a different request
+const hashRequest = (req) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+  hash.update(JSON.stringify(req.body || {}));
+  if (req.file) {
+    hash.update(req.file.buffer);
+  }
+  return hash.digest('hex');
+};
+
+// Make a mutation safe to retry: requests carrying an Idempotency-Key header run once per
+// user and key, and retries get the stored response back. Must run after authentication
+// (and after multer for uploads). Server errors aren't stored, so those can be retried.
+const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const requestHash = hashRequest(req);
+
+  IdempotencyKeyModel.claim(req.user.id, key, requestHash, (err, claimed, record) => {
+    if (err) {
+      console.error('❌ Idempotency key claim failed:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Database error'
+      });
+    }
+
+    if (!claimed) {
+      if (!record || record.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+
+      if (!record.completed_at) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still in progress',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.status_code).json(record.response_body);
+    }
+
+    // Store the response the handler sends, or release the key if it never sends one
+    let settled = false;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        const done = (storeErr) => {
+          if (storeErr) console.error('❌ Failed to store idempotent response:', storeErr);
+        };
+        if (res.statusCode < 500) {
+          IdempotencyKeyModel.complete(record.id, res.statusCode, body, done);
+        } else {
+          IdempotencyKeyModel.release(record.id, done);
+        }
+      }
+      return json(body);
+    };
+
+    res.on('close', () => {
+      if (!settled) {
+        settled = true;
+        IdempotencyKeyModel.release(record.id, (releaseErr) => {
+          if (releaseErr) console.error('❌ Failed to release idempotency key:', releaseErr);
+        });
+      }
+    });
+
+    next();
+  });
+};
+
+module.exports = {
+  idempotent
+};
@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const path = require('path');
+const crypto = require('crypto');
 
 // Database connection configuration
 const pool = new Pool({
@@ -10,6 +11,23 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Roles a user can hold, from least to most privileged
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Scopes that can be granted to personal access tokens
+const TOKEN_SCOPES = ['stream:read', 'stream:write'];
+
+// Promote ADMIN_BOOTSTRAP_EMAIL to admin, but only while no admin exists and only once the address is verified
+const BOOTSTRAP_ADMIN_QUERY = `
+  UPDATE users 
+  SET role = 'admin', updated_at = CURRENT_TIMESTAMP
+  WHERE LOWER(email) = LOWER($1) 
+  AND is_verified = TRUE 
+  AND is_active = TRUE
+  AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+  RETURNING id, email
+`;
+
 // Database initialization
 const initializeDatabase = async () => {
   try {
@@ -54,6 +72,71 @@ const initializeDatabase = async () => {
     `);
     console.log('✅ Password reset token index created');
 
+    // Add email verification expiry and throttling columns
+    await client.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS verification_expires TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_verification_token ON users(verification_token);
+    `);
+    console.log('✅ Email verification columns added to users table');
+
+    // Add two-factor authentication columns (recovery codes are stored hashed)
+    await client.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+      ADD COLUMN IF NOT EXISTS two_factor_last_counter BIGINT,
+      ADD COLUMN IF NOT EXISTS two_factor_recovery_codes TEXT[]
+    `);
+    console.log('✅ Two-factor authentication columns added to users table');
+
+    // Add soft-deletion timestamp (accounts are purged after a grace period)
+    await client.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+    `);
+    console.log('✅ Account deletion column added to users table');
+
+    // Add password change timestamp (tokens issued before it are rejected)
+    await client.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP
+    `);
+    console.log('✅ Password change column added to users table');
+
+    // Add uploaded avatar hash (served by GET /auth/users/:userId/avatar)
+    await client.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS avatar_hash TEXT
+    `);
+    console.log('✅ Avatar column added to users table');
+
+    // Add passwordless login opt-out (enabled by default)
+    await client.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS passwordless_enabled BOOLEAN DEFAULT TRUE
+    `);
+    console.log('✅ Passwordless login column added to users table');
+
+    // Add role column for role-based access control
+    await client.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+        CHECK (role IN ('user', 'moderator', 'admin'))
+    `);
+    console.log('✅ Role column added to users table');
+
+    // Bootstrap the first admin from the environment
+    if (process.env.ADMIN_BOOTSTRAP_EMAIL) {
+      const promoted = await client.query(BOOTSTRAP_ADMIN_QUERY, [process.env.ADMIN_BOOTSTRAP_EMAIL]);
+      if (promoted.rows.length > 0) {
+        console.log(`👑 Promoted ${promoted.rows[0].email} to admin`);
+      }
+    }
+
     // Create streams table for tracking user streams
     await client.query(`
       CREATE TABLE IF NOT EXISTS streams (
@@ -92,12 +175,326 @@ const initializeDatabase = async () => {
     `);
     console.log('✅ Chunks table ready');
 
+    // Add stream soft-deletion columns (reason 'account' streams come back when the account is restored)
+    await client.query(`
+      ALTER TABLE streams 
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS deleted_reason TEXT
+    `);
+    console.log('✅ Stream deletion columns added to streams table');
+
+    // Add stream lifecycle timestamps (scheduled -> live -> ended -> archived)
+    await client.query(`
+      ALTER TABLE streams 
+      ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP
+    `);
+    // Streams from before the lifecycle states were 'active' once they had chunks
+    await client.query(`
+      UPDATE streams SET status = 'created' WHERE status = 'active'
+    `);
+    console.log('✅ Stream lifecycle columns added to streams table');
+
+    // Add chunk content type (served back when chunks are read)
+    await client.query(`
+      ALTER TABLE chunks 
+      ADD COLUMN IF NOT EXISTS mimetype TEXT
+    `);
+    console.log('✅ Mimetype column added to chunks table');
+
+    // Add chunk playback duration as reported by the encoder (used for HLS playlists)
+    await client.query(`
+      ALTER TABLE chunks 
+      ADD COLUMN IF NOT EXISTS duration_ms INTEGER
+    `);
+    console.log('✅ Duration column added to chunks table');
+
+    // Add chunk content checksum (lets retried uploads be recognised as the same chunk)
+    await client.query(`
+      ALTER TABLE chunks 
+      ADD COLUMN IF NOT EXISTS sha256 TEXT
+    `);
+    console.log('✅ Checksum column added to chunks table');
+
+    // Create stream co-hosts table (users the owner allows to upload chunks to a stream)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stream_cohosts (
+        stream_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (stream_id, user_id),
+        FOREIGN KEY (stream_id) REFERENCES streams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Stream co-hosts table ready');
+
+    // Create stream viewers table (the allowlist of users who can watch a private stream)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stream_viewers (
+        stream_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (stream_id, user_id),
+        FOREIGN KEY (stream_id) REFERENCES streams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Stream viewers table ready');
+
+    // Add stream discovery columns: tags, total playback duration and a full-text search vector
+    await client.query(`
+      ALTER TABLE streams 
+      ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS duration_ms BIGINT NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, ''))
+      ) STORED
+    `);
+    console.log('✅ Discovery columns added to streams table');
+
+    // Add editable stream metadata and the version counter of the published metadata head
+    await client.query(`
+      ALTER TABLE streams 
+      ADD COLUMN IF NOT EXISTS category TEXT,
+      ADD COLUMN IF NOT EXISTS thumbnail_hash TEXT,
+      ADD COLUMN IF NOT EXISTS metadata_version INTEGER NOT NULL DEFAULT 0
+    `);
+    console.log('✅ Metadata columns added to streams table');
+
+    // Create stream metadata versions table. Each published document links to its predecessor's
+    // hash; streams.metadata_hash is the head of the chain.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stream_metadata_versions (
+        stream_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        metadata_hash TEXT NOT NULL,
+        previous_hash TEXT,
+        change TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (stream_id, version),
+        FOREIGN KEY (stream_id) REFERENCES streams (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Stream metadata versions table ready');
+
+    // Create stream exports table (jobs assembling a stream's chunks into one downloadable file)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stream_exports (
+        id TEXT PRIMARY KEY,
+        stream_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        requested_format TEXT NOT NULL,
+        format TEXT,
+        store_permanently BOOLEAN DEFAULT FALSE,
+        status TEXT DEFAULT 'pending',
+        size BIGINT,
+        chunk_count INTEGER,
+        ipfs_hash TEXT,
+        arweave_tx_id TEXT,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        FOREIGN KEY (stream_id) REFERENCES streams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Stream exports table ready');
+
+    // Create refresh tokens table (tokens are stored hashed, grouped into families per login)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        family_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rotated_at TIMESTAMP,
+        replaced_by TEXT,
+        revoked_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Refresh tokens table ready');
+
+    // Create sessions table (one row per login/device; refresh token families hang off it)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        device_name TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Backfill sessions for token families issued before the sessions table existed
+    await client.query(`
+      INSERT INTO sessions (id, user_id, created_at, last_seen_at, revoked_at)
+      SELECT family_id, user_id, MIN(created_at), MAX(created_at), MAX(revoked_at)
+      FROM refresh_tokens
+      GROUP BY family_id, user_id
+      ON CONFLICT (id) DO NOTHING
+    `);
+    console.log('✅ Sessions table ready');
+
+    // Create single-use nonces for Sign-In with Ethereum
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS siwe_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ SIWE nonces table ready');
+
+    // Create failed-attempt counters for brute-force protection (keyed per account or IP)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_throttles (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at TIMESTAMP,
+        locked_until TIMESTAMP,
+        unlock_token_hash TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Auth throttles table ready');
+
+    // Create personal access tokens for encoders and scripts (stored hashed, like refresh tokens)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        last_used_ip TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Personal access tokens table ready');
+
+    // Create outgoing email queue (messages are retried with backoff until sent or given up on)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id TEXT PRIMARY KEY,
+        template TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT,
+        text_body TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      )
+    `);
+    console.log('✅ Email outbox table ready');
+
+    // Create emailed one-time login codes and magic links (both stored hashed, single use)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_codes (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        link_token_hash TEXT UNIQUE NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Login codes table ready');
+
+    // Create append-only security audit log. user_id deliberately has no foreign key so
+    // history outlives purged accounts, and a trigger rejects any UPDATE or DELETE.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS security_events (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER,
+        event_type TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        email TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        session_id TEXT,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION reject_security_event_changes() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'security_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      DROP TRIGGER IF EXISTS security_events_append_only ON security_events;
+      CREATE TRIGGER security_events_append_only
+        BEFORE UPDATE OR DELETE ON security_events
+        FOR EACH ROW EXECUTE FUNCTION reject_security_event_changes();
+    `);
+    console.log('✅ Security events table ready');
+
+    // Create idempotency keys table (stored responses for retried stream mutations)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status_code INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(user_id, idempotency_key)
+      )
+    `);
+    console.log('✅ Idempotency keys table ready');
+
     // Create indexes for better performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
       CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
       CREATE INDEX IF NOT EXISTS idx_streams_user_id ON streams(user_id);
+      CREATE INDEX IF NOT EXISTS idx_streams_created_at ON streams(created_at, id);
+      CREATE INDEX IF NOT EXISTS idx_streams_tags ON streams USING GIN (tags);
+      CREATE INDEX IF NOT EXISTS idx_streams_search_vector ON streams USING GIN (search_vector);
       CREATE INDEX IF NOT EXISTS idx_chunks_stream_id ON chunks(stream_id);
+      CREATE INDEX IF NOT EXISTS idx_stream_exports_stream_id ON stream_exports(stream_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_stream_exports_status ON stream_exports(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_wallet_address ON users(LOWER(wallet_address));
+      CREATE INDEX IF NOT EXISTS idx_auth_throttles_unlock_token ON auth_throttles(unlock_token_hash);
+      CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_login_codes_user_id ON login_codes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON security_events(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type, created_at);
+      CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
     `);
     console.log('✅ Database indexes ready');
 
@@ -121,6 +518,17 @@ const executeQuery = async (query, params = []) => {
   }
 };
 
+// Hash opaque tokens before they touch the database (SHA-256 is enough for high-entropy tokens)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Days a deleted account can still be restored before it is purged
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Columns a user may change through UserModel.updateProfile
+const PROFILE_COLUMNS = ['username', 'first_name', 'last_name', 'bio', 'profile_image_url'];
+
 // User model methods (keeping same interface as SQLite version)
 const UserModel = {
   // Create a new user
@@ -173,10 +581,36 @@ const UserModel = {
     }
   },
 
-  // Check if email or username exists
+  // Find user by linked wallet address (case-insensitive)
+  findByWalletAddress: async (walletAddress, callback) => {
+    try {
+      const query = 'SELECT * FROM users WHERE LOWER(wallet_address) = LOWER($1) AND is_active = TRUE';
+      const result = await executeQuery(query, [walletAddress]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Link (or unlink with null) a wallet address
+  setWalletAddress: async (userId, walletAddress, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET wallet_address = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_active = TRUE
+      `;
+      await executeQuery(query, [walletAddress, userId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Check if email or username exists (including accounts pending deletion, which still hold them)
   checkExists: async (email, username, callback) => {
     try {
-      const query = 'SELECT id FROM users WHERE (email = $1 OR username = $2) AND is_active = TRUE';
+      const query = 'SELECT id FROM users WHERE email = $1 OR username = $2';
       const result = await executeQuery(query, [email, username]);
       callback(null, result.rows[0] || null);
     } catch (err) {
@@ -199,8 +633,9 @@ const UserModel = {
   getProfile: async (userId, callback) => {
     try {
       const query = `
-        SELECT id, email, username, first_name, last_name, wallet_address, 
-               is_verified, profile_image_url, bio, created_at, last_login
+        SELECT id, email, username, first_name, last_name, wallet_address, role,
+               is_verified, two_factor_enabled, passwordless_enabled,
+               profile_image_url, bio, created_at, last_login
         FROM users 
         WHERE id = $1 AND is_active = TRUE
       `;
@@ -211,20 +646,24 @@ const UserModel = {
     }
   },
 
-  // Update user profile
+  // Update user profile (only whitelisted columns can be written)
   updateProfile: async (userId, updateData, callback) => {
     try {
       const fields = [];
       const values = [];
       let paramCounter = 1;
       
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] !== undefined) {
-          fields.push(`${key} = $${paramCounter}`);
-          values.push(updateData[key]);
-          paramCounter++;
+      for (const key of Object.keys(updateData)) {
+        if (updateData[key] === undefined) continue;
+        
+        if (!PROFILE_COLUMNS.includes(key)) {
+          return callback(new Error(`Field not allowed in profile update: ${key}`), null);
         }
-      });
+        
+        fields.push(`${key} = $${paramCounter}`);
+        values.push(updateData[key]);
+        paramCounter++;
+      }
       
       if (fields.length === 0) {
         return callback(new Error('No fields to update'), null);
@@ -233,7 +672,7 @@ const UserModel = {
       fields.push(`updated_at = CURRENT_TIMESTAMP`);
       values.push(userId);
       
-      const query = `UPDATE users SET ${fields.join(', ')} WHERE id = $${paramCounter}`;
+      const query = `UPDATE users SET ${fields.join(', ')} WHERE id = $${paramCounter} AND is_active = TRUE`;
       await executeQuery(query, values);
       callback(null);
     } catch (err) {
@@ -241,6 +680,21 @@ const UserModel = {
     }
   },
 
+  // Set an uploaded avatar and point the profile image at the URL that serves it
+  setAvatar: async (userId, avatarHash, profileImageUrl, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET avatar_hash = $2, profile_image_url = $3, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = $1 AND is_active = TRUE
+      `;
+      await executeQuery(query, [userId, avatarHash, profileImageUrl]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
   // Get user statistics
   getUserStats: async (userId, callback) => {
     try {
@@ -297,7 +751,8 @@ const UserModel = {
     try {
       const query = `
         SELECT id, email, username, first_name, last_name, 
-               reset_password_token, reset_password_expires
+               reset_password_token, reset_password_expires,
+               two_factor_enabled, two_factor_secret, two_factor_recovery_codes
         FROM users 
         WHERE reset_password_token = $1 
         AND reset_password_expires > CURRENT_TIMESTAMP 
@@ -319,13 +774,16 @@ const UserModel = {
         SET password_hash = $1, 
             reset_password_token = NULL, 
             reset_password_expires = NULL,
+            password_changed_at = $3,
             updated_at = CURRENT_TIMESTAMP
         WHERE reset_password_token = $2 
         AND reset_password_expires > CURRENT_TIMESTAMP 
         AND is_active = TRUE
         RETURNING id, email, username, first_name, last_name
       `;
-      const result = await executeQuery(query, [newPasswordHash, token]);
+      // password_changed_at uses the app clock so it compares cleanly with JWT iat and
+      // personal access token created_at
+      const result = await executeQuery(query, [newPasswordHash, token, new Date()]);
       
       if (result.rows.length === 0) {
         return callback(new Error('Invalid or expired reset token'), null);
@@ -338,192 +796,1662 @@ const UserModel = {
     }
   },
 
-  // Clean up expired reset tokens (optional - for maintenance)
-  cleanupExpiredResetTokens: async (callback) => {
+  // Change the password of a signed-in user (any pending reset token is cleared too)
+  changePassword: async (userId, newPasswordHash, callback) => {
     try {
       const query = `
         UPDATE users 
-        SET reset_password_token = NULL, 
-            reset_password_expires = NULL
-        WHERE reset_password_expires < CURRENT_TIMESTAMP 
-        AND reset_password_token IS NOT NULL
+        SET password_hash = $1, 
+            reset_password_token = NULL, 
+            reset_password_expires = NULL,
+            password_changed_at = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_active = TRUE
+        RETURNING id, email, username, first_name, last_name, password_changed_at
       `;
-      const result = await executeQuery(query);
-      console.log(`Cleaned up ${result.rowCount} expired reset tokens`);
-      callback(null, result.rowCount);
+      // password_changed_at uses the app clock so it compares cleanly with JWT iat and
+      // personal access token created_at
+      const result = await executeQuery(query, [newPasswordHash, userId, new Date()]);
+      callback(null, result.rows[0] || null);
     } catch (err) {
-      console.error('Error cleaning up expired tokens:', err);
+      console.error('Error changing password:', err);
       callback(err, null);
     }
-  }
+  },
 
-};
+  // ==============================================
+  // ROLE METHODS
+  // ==============================================
 
-// Stream model methods
-const StreamModel = {
-  // Create a new stream
-  create: async (streamData, callback) => {
+  // Change a user's role
+  setRole: async (userId, role, callback) => {
     try {
-      const { id, userId, title, description, isPrivate, metadataHash } = streamData;
+      if (!ROLES.includes(role)) {
+        return callback(new Error(`Unknown role: ${role}`), null);
+      }
+
       const query = `
-        INSERT INTO streams (id, user_id, title, description, is_private, metadata_hash)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING *
+        UPDATE users
+        SET role = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_active = TRUE
+        RETURNING id, email, username, role
       `;
-      const result = await executeQuery(query, [id, userId, title, description, isPrivate ? true : false, metadataHash]);
-      callback(null, { id, ...streamData });
+      const result = await executeQuery(query, [role, userId]);
+      callback(null, result.rows[0] || null);
     } catch (err) {
       callback(err, null);
     }
   },
 
-  // Find stream by ID
-  findById: async (streamId, callback) => {
+  // Promote ADMIN_BOOTSTRAP_EMAIL if it has just become eligible (e.g. right after verifying)
+  promoteBootstrapAdmin: async (callback) => {
     try {
-      const query = 'SELECT * FROM streams WHERE id = $1';
-      const result = await executeQuery(query, [streamId]);
+      if (!process.env.ADMIN_BOOTSTRAP_EMAIL) {
+        return callback(null, null);
+      }
+
+      const result = await executeQuery(BOOTSTRAP_ADMIN_QUERY, [process.env.ADMIN_BOOTSTRAP_EMAIL]);
       callback(null, result.rows[0] || null);
     } catch (err) {
       callback(err, null);
     }
   },
 
-  // Get user's streams
-  findByUserId: async (userId, callback) => {
+  // ==============================================
+  // ACCOUNT DELETION METHODS
+  // ==============================================
+
+  // Deactivate an account and start its deletion grace period
+  markDeleted: async (userId, callback) => {
     try {
       const query = `
-        SELECT s.*, COUNT(c.id) as chunk_count, COALESCE(SUM(c.size), 0) as total_size
-        FROM streams s
-        LEFT JOIN chunks c ON s.id = c.stream_id
-        WHERE s.user_id = $1
-        GROUP BY s.id, s.user_id, s.title, s.description, s.is_private, s.status, s.metadata_hash, s.chunk_count, s.total_size, s.created_at, s.updated_at
-        ORDER BY s.created_at DESC
+        UPDATE users 
+        SET is_active = FALSE, 
+            deleted_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND is_active = TRUE
+        RETURNING id, email, username, deleted_at
       `;
       const result = await executeQuery(query, [userId]);
-      callback(null, result.rows);
+      callback(null, result.rows[0] || null);
     } catch (err) {
       callback(err, null);
     }
   },
 
-  // Update stream
-  update: async (streamId, updateData, callback) => {
+  // Find a deleted account that is still within its grace period
+  findDeletedByEmail: async (email, graceDays, callback) => {
     try {
-      const fields = [];
-      const values = [];
-      let paramCounter = 1;
-      
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] !== undefined) {
-          fields.push(`${key} = $${paramCounter}`);
-          values.push(updateData[key]);
-          paramCounter++;
-        }
-      });
-      
-      if (fields.length === 0) {
-        return callback(new Error('No fields to update'), null);
-      }
-      
-      fields.push(`updated_at = CURRENT_TIMESTAMP`);
-      values.push(streamId);
+      const query = `
+        SELECT * FROM users 
+        WHERE email = $1 
+        AND is_active = FALSE 
+        AND deleted_at > CURRENT_TIMESTAMP - ($2 * INTERVAL '1 day')
+      `;
+      const result = await executeQuery(query, [email, graceDays]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Reactivate a deleted account
+  restoreDeleted: async (userId, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET is_active = TRUE, 
+            deleted_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND is_active = FALSE AND deleted_at IS NOT NULL
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [userId]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Permanently remove accounts whose grace period has passed (streams, chunks and sessions cascade)
+  purgeDeleted: async (graceDays, callback) => {
+    try {
+      const query = `
+        DELETE FROM users 
+        WHERE is_active = FALSE 
+        AND deleted_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')
+        RETURNING id
+      `;
+      const result = await executeQuery(query, [graceDays]);
+      callback(null, result.rows.map(row => row.id));
+    } catch (err) {
+      console.error('Error purging deleted accounts:', err);
+      callback(err, null);
+    }
+  },
+
+  // ==============================================
+  // EMAIL VERIFICATION METHODS
+  // ==============================================
+
+  // Store a hashed verification token and record when it was sent
+  setVerificationToken: async (userId, token, expiresAt, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET verification_token = $1, 
+            verification_expires = $2,
+            verification_sent_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND is_active = TRUE
+        RETURNING id, email, username
+      `;
+      const result = await executeQuery(query, [hashToken(token), expiresAt, userId]);
       
-      const query = `UPDATE streams SET ${fields.join(', ')} WHERE id = $${paramCounter}`;
-      await executeQuery(query, values);
+      if (result.rows.length === 0) {
+        return callback(new Error('User not found'), null);
+      }
+      
+      callback(null, result.rows[0]);
+    } catch (err) {
+      console.error('Error setting verification token:', err);
+      callback(err, null);
+    }
+  },
+
+  // Mark the user verified if the token is valid and clear it
+  verifyEmailWithToken: async (token, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET is_verified = TRUE, 
+            verification_token = NULL, 
+            verification_expires = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE verification_token = $1 
+        AND verification_expires > CURRENT_TIMESTAMP 
+        AND is_active = TRUE
+        RETURNING id, email, username
+      `;
+      const result = await executeQuery(query, [hashToken(token)]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      console.error('Error verifying email with token:', err);
+      callback(err, null);
+    }
+  },
+
+  // ==============================================
+  // TWO-FACTOR AUTHENTICATION METHODS
+  // ==============================================
+
+  // Store a pending TOTP secret (not enforced until confirmed)
+  setTwoFactorSecret: async (userId, secret, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET two_factor_secret = $1, 
+            two_factor_enabled = FALSE,
+            two_factor_last_counter = NULL,
+            two_factor_recovery_codes = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_active = TRUE
+      `;
+      await executeQuery(query, [secret, userId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Turn on 2FA and replace the recovery codes
+  enableTwoFactor: async (userId, recoveryCodes, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET two_factor_enabled = TRUE, 
+            two_factor_recovery_codes = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_active = TRUE AND two_factor_secret IS NOT NULL
+      `;
+      await executeQuery(query, [recoveryCodes.map(hashToken), userId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Turn off 2FA and forget the secret and recovery codes
+  disableTwoFactor: async (userId, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET two_factor_enabled = FALSE, 
+            two_factor_secret = NULL,
+            two_factor_last_counter = NULL,
+            two_factor_recovery_codes = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `;
+      await executeQuery(query, [userId]);
       callback(null);
     } catch (err) {
       callback(err);
     }
+  },
+
+  // Record the last accepted TOTP time step. Returns false if the code was
+  // already used (same or older step), so a captured code can't be replayed.
+  recordTwoFactorCounter: async (userId, counter, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET two_factor_last_counter = $1
+        WHERE id = $2 
+        AND (two_factor_last_counter IS NULL OR two_factor_last_counter < $1)
+        RETURNING id
+      `;
+      const result = await executeQuery(query, [counter, userId]);
+      callback(null, result.rows.length > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  },
+
+  // Consume a recovery code. Returns false if it doesn't exist or was already used.
+  consumeRecoveryCode: async (userId, code, callback) => {
+    try {
+      const codeHash = hashToken(code);
+      const query = `
+        UPDATE users 
+        SET two_factor_recovery_codes = array_remove(two_factor_recovery_codes, $1),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND $1 = ANY(two_factor_recovery_codes)
+        RETURNING id, COALESCE(array_length(two_factor_recovery_codes, 1), 0) AS remaining
+      `;
+      const result = await executeQuery(query, [codeHash, userId]);
+      callback(null, result.rows.length > 0, result.rows[0] ? result.rows[0].remaining : 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  },
+
+  // Opt in to or out of passwordless (emailed code / magic link) login
+  setPasswordlessEnabled: async (userId, enabled, callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET passwordless_enabled = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_active = TRUE
+        RETURNING id, passwordless_enabled
+      `;
+      const result = await executeQuery(query, [enabled, userId]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Clean up expired reset tokens (optional - for maintenance)
+  cleanupExpiredResetTokens: async (callback) => {
+    try {
+      const query = `
+        UPDATE users 
+        SET reset_password_token = NULL, 
+            reset_password_expires = NULL
+        WHERE reset_password_expires < CURRENT_TIMESTAMP 
+        AND reset_password_token IS NOT NULL
+      `;
+      const result = await executeQuery(query);
+      console.log(`Cleaned up ${result.rowCount} expired reset tokens`);
+      callback(null, result.rowCount);
+    } catch (err) {
+      console.error('Error cleaning up expired tokens:', err);
+      callback(err, null);
+    }
   }
+
 };
 
-// Chunk model methods
-const ChunkModel = {
-  // Create a new chunk
-  create: async (chunkData, callback) => {
+// Stream model methods
+const StreamModel = {
+  // Create a new stream
+  create: async (streamData, callback) => {
     try {
-      const { id, streamId, chunkIndex, ipfsHash, size, timestamp } = chunkData;
+      const { id, userId, title, description, isPrivate, metadataHash, scheduledFor, tags } = streamData;
       const query = `
-        INSERT INTO chunks (id, stream_id, chunk_index, ipfs_hash, size, timestamp)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO streams (id, user_id, title, description, is_private, metadata_hash, status, scheduled_for, tags)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *
       `;
-      await executeQuery(query, [id, streamId, chunkIndex, ipfsHash, size, timestamp]);
-      
-      // Update stream chunk count and total size
-      ChunkModel.updateStreamStats(streamId, () => {});
-      callback(null, { id, ...chunkData });
+      const result = await executeQuery(query, [
+        id, userId, title, description, isPrivate ? true : false, metadataHash,
+        scheduledFor ? 'scheduled' : 'created', scheduledFor || null, tags || []
+      ]);
+      callback(null, result.rows[0]);
     } catch (err) {
       callback(err, null);
     }
   },
 
-  // Find chunks by stream ID
-  findByStreamId: async (streamId, callback) => {
+  // Find stream by ID
+  findById: async (streamId, callback) => {
+    try {
+      const query = 'SELECT * FROM streams WHERE id = $1';
+      const result = await executeQuery(query, [streamId]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Get user's streams, newest first (deleted streams are left out)
+  findByUserId: async (userId, callback) => {
     try {
       const query = `
-        SELECT * FROM chunks 
-        WHERE stream_id = $1 
-        ORDER BY chunk_index ASC
+        SELECT * FROM streams 
+        WHERE user_id = $1 AND status <> 'deleted'
+        ORDER BY created_at DESC
       `;
-      const result = await executeQuery(query, [streamId]);
+      const result = await executeQuery(query, [userId]);
       callback(null, result.rows);
     } catch (err) {
       callback(err, null);
     }
   },
 
-  // Update chunk with Arweave transaction ID
-  updateArweaveStatus: async (chunkId, arweaveTxId, callback) => {
+  // Public streams for the discovery feed, newest first, with their creator's profile.
+  // filters: { status ('live' or 'recent'), recentDays, creator (username), tags (streams must
+  // have all of them), search (websearch syntax over title and description) }. cursor is the
+  // { createdAt, id } of the last stream on the previous page, createdAt as returned in cursor_created_at.
+  discover: async (filters, limit, cursor, callback) => {
     try {
+      const conditions = ['s.is_private = FALSE', `s.status <> 'deleted'`, 'u.is_active = TRUE'];
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      if (filters.status === 'live') {
+        conditions.push(`s.status = 'live'`);
+      } else if (filters.status === 'recent') {
+        conditions.push(`s.status IN ('ended', 'archived')`);
+        conditions.push(`s.ended_at >= CURRENT_TIMESTAMP - ${param(filters.recentDays)} * INTERVAL '1 day'`);
+      }
+
+      if (filters.creator) {
+        conditions.push(`LOWER(u.username) = LOWER(${param(filters.creator)})`);
+      }
+
+      if (filters.tags && filters.tags.length > 0) {
+        conditions.push(`s.tags @> ${param(filters.tags)}::text[]`);
+      }
+
+      if (filters.search) {
+        conditions.push(`s.search_vector @@ websearch_to_tsquery('english', ${param(filters.search)})`);
+      }
+
+      if (cursor) {
+        conditions.push(`(s.created_at, s.id) < (${param(cursor.createdAt)}::timestamp, ${param(cursor.id)})`);
+      }
+
       const query = `
-        UPDATE chunks 
-        SET arweave_tx_id = $1, archived_at = CURRENT_TIMESTAMP, status = 'archived'
-        WHERE id = $2
+        SELECT s.*, s.created_at::text AS cursor_created_at, 
+               u.username, u.first_name, u.last_name, u.profile_image_url
+        FROM streams s 
+        JOIN users u ON u.id = s.user_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.created_at DESC, s.id DESC
+        LIMIT ${param(limit)}
       `;
-      await executeQuery(query, [arweaveTxId, chunkId]);
+      const result = await executeQuery(query, params);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Update stream
+  update: async (streamId, updateData, callback) => {
+    try {
+      const fields = [];
+      const values = [];
+      let paramCounter = 1;
+      
+      Object.keys(updateData).forEach(key => {
+        if (updateData[key] !== undefined) {
+          fields.push(`${key} = $${paramCounter}`);
+          values.push(updateData[key]);
+          paramCounter++;
+        }
+      });
+      
+      if (fields.length === 0) {
+        return callback(new Error('No fields to update'), null);
+      }
+      
+      fields.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(streamId);
+      
+      const query = `UPDATE streams SET ${fields.join(', ')} WHERE id = $${paramCounter}`;
+      await executeQuery(query, values);
       callback(null);
     } catch (err) {
       callback(err);
     }
   },
 
-  // Update stream statistics
-  updateStreamStats: async (streamId, callback) => {
+  // Make a newly published metadata document the stream's head and record the version, applying
+  // the column updates the document describes in the same statement. Only succeeds if the head is
+  // still at fromVersion (nothing is written otherwise); returns the updated stream or null.
+  advanceMetadataHead: async (streamId, fromVersion, metadataHash, change, updateData, callback) => {
     try {
+      const values = [streamId, fromVersion, metadataHash, change];
+      const fields = Object.keys(updateData)
+        .filter(key => updateData[key] !== undefined)
+        .map(key => {
+          values.push(updateData[key]);
+          return `${key} = $${values.length}, `;
+        });
+
       const query = `
-        UPDATE streams 
-        SET 
-          chunk_count = (SELECT COUNT(*) FROM chunks WHERE stream_id = $1),
-          total_size = (SELECT COALESCE(SUM(size), 0) FROM chunks WHERE stream_id = $2),
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = $3
+        WITH previous AS (
+          SELECT metadata_hash FROM streams WHERE id = $1 AND metadata_version = $2
+        ), head AS (
+          UPDATE streams 
+          SET ${fields.join('')}metadata_hash = $3, metadata_version = metadata_version + 1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND metadata_version = $2
+          RETURNING *
+        ), version AS (
+          INSERT INTO stream_metadata_versions (stream_id, version, metadata_hash, previous_hash, change)
+          SELECT head.id, head.metadata_version, head.metadata_hash, previous.metadata_hash, $4
+          FROM head, previous
+        )
+        SELECT * FROM head
       `;
-      await executeQuery(query, [streamId, streamId, streamId]);
-      callback(null);
+      const result = await executeQuery(query, values);
+      callback(null, result.rows[0] || null);
     } catch (err) {
-      callback(err);
+      callback(err, null);
     }
   },
 
-  // Get chunk statistics
-  getStreamStats: async (streamId, callback) => {
+  // Get a stream's metadata versions, newest first
+  findMetadataVersions: async (streamId, callback) => {
     try {
       const query = `
-        SELECT 
-          COUNT(*) as total_chunks,
-          COALESCE(SUM(size), 0) as total_size,
-          COUNT(CASE WHEN arweave_tx_id IS NOT NULL THEN 1 END) as archived_chunks,
-          MIN(timestamp) as start_time,
-          MAX(timestamp) as end_time
-        FROM chunks 
-        WHERE stream_id = $1
+        SELECT * FROM stream_metadata_versions 
+        WHERE stream_id = $1 
+        ORDER BY version DESC
       `;
       const result = await executeQuery(query, [streamId]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Move a stream from fromStatus to toStatus and stamp the matching timestamp. Only succeeds
+  // if the stream is still in fromStatus; returns the updated stream or null. Deleting a live
+  // stream also ends it.
+  transition: async (streamId, fromStatus, toStatus, reason, callback) => {
+    try {
+      const query = `
+        UPDATE streams 
+        SET status = $3::text,
+            started_at = CASE WHEN $3::text = 'live' THEN CURRENT_TIMESTAMP ELSE started_at END,
+            ended_at = CASE WHEN $3::text = 'ended' OR ($3::text = 'deleted' AND status = 'live') THEN CURRENT_TIMESTAMP ELSE ended_at END,
+            archived_at = CASE WHEN $3::text = 'archived' THEN CURRENT_TIMESTAMP ELSE archived_at END,
+            deleted_at = CASE WHEN $3::text = 'deleted' THEN CURRENT_TIMESTAMP ELSE deleted_at END,
+            deleted_reason = CASE WHEN $3::text = 'deleted' THEN $4 ELSE deleted_reason END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = $2
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [streamId, fromStatus, toStatus, reason || null]);
       callback(null, result.rows[0] || null);
     } catch (err) {
       callback(err, null);
     }
+  },
+
+  // Undo deletions that happened because the owner's account was deleted
+  restoreForUser: async (userId, callback) => {
+    try {
+      const query = `
+        UPDATE streams 
+        SET status = CASE 
+              WHEN archived_at IS NOT NULL THEN 'archived'
+              WHEN ended_at IS NOT NULL THEN 'ended'
+              WHEN scheduled_for IS NOT NULL AND started_at IS NULL THEN 'scheduled'
+              ELSE 'created'
+            END,
+            deleted_at = NULL, deleted_reason = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND status = 'deleted' AND deleted_reason = 'account'
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [userId]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Add a co-host to a stream (adding an existing co-host is a no-op)
+  addCohost: async (streamId, userId, callback) => {
+    try {
+      const query = `
+        INSERT INTO stream_cohosts (stream_id, user_id)
+        VALUES ($1, $2)
+        ON CONFLICT (stream_id, user_id) DO NOTHING
+      `;
+      await executeQuery(query, [streamId, userId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Remove a co-host. Returns whether they were a co-host.
+  removeCohost: async (streamId, userId, callback) => {
+    try {
+      const query = 'DELETE FROM stream_cohosts WHERE stream_id = $1 AND user_id = $2';
+      const result = await executeQuery(query, [streamId, userId]);
+      callback(null, result.rowCount > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  },
+
+  // Get a stream's co-hosts with their usernames
+  findCohosts: async (streamId, callback) => {
+    try {
+      const query = `
+        SELECT u.id, u.username, c.added_at 
+        FROM stream_cohosts c 
+        JOIN users u ON u.id = c.user_id
+        WHERE c.stream_id = $1
+        ORDER BY c.added_at ASC
+      `;
+      const result = await executeQuery(query, [streamId]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Check whether a user is a co-host of a stream
+  isCohost: async (streamId, userId, callback) => {
+    try {
+      const query = 'SELECT 1 FROM stream_cohosts WHERE stream_id = $1 AND user_id = $2';
+      const result = await executeQuery(query, [streamId, userId]);
+      callback(null, result.rows.length > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  },
+
+  // Add a user to a stream's viewer allowlist (adding an existing viewer is a no-op)
+  addViewer: async (streamId, userId, callback) => {
+    try {
+      const query = `
+        INSERT INTO stream_viewers (stream_id, user_id)
+        VALUES ($1, $2)
+        ON CONFLICT (stream_id, user_id) DO NOTHING
+      `;
+      await executeQuery(query, [streamId, userId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Remove a user from a stream's viewer allowlist. Returns whether they were on it.
+  removeViewer: async (streamId, userId, callback) => {
+    try {
+      const query = 'DELETE FROM stream_viewers WHERE stream_id = $1 AND user_id = $2';
+      const result = await executeQuery(query, [streamId, userId]);
+      callback(null, result.rowCount > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  },
+
+  // Get a stream's allowlisted viewers with their usernames
+  findViewers: async (streamId, callback) => {
+    try {
+      const query = `
+        SELECT u.id, u.username, v.added_at 
+        FROM stream_viewers v 
+        JOIN users u ON u.id = v.user_id
+        WHERE v.stream_id = $1
+        ORDER BY v.added_at ASC
+      `;
+      const result = await executeQuery(query, [streamId]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Check whether a user is on a stream's viewer allowlist
+  isViewer: async (streamId, userId, callback) => {
+    try {
+      const query = 'SELECT 1 FROM stream_viewers WHERE stream_id = $1 AND user_id = $2';
+      const result = await executeQuery(query, [streamId, userId]);
+      callback(null, result.rows.length > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  }
+};
+
+// Chunk model methods
+const ChunkModel = {
+  // Store a chunk. Calls back with null if the stream already has a chunk at this index.
+  create: async (chunkData, callback) => {
+    try {
+      const { id, streamId, chunkIndex, ipfsHash, size, timestamp, mimetype, durationMs, sha256 } = chunkData;
+      const query = `
+        INSERT INTO chunks (id, stream_id, chunk_index, ipfs_hash, size, timestamp, mimetype, duration_ms, sha256)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (stream_id, chunk_index) DO NOTHING
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [id, streamId, chunkIndex, ipfsHash, size, timestamp, mimetype, durationMs || null, sha256]);
+      
+      if (result.rows.length === 0) {
+        return callback(null, null);
+      }
+      
+      // Update stream chunk count and total size
+      ChunkModel.updateStreamStats(streamId, (err) => {
+        if (err) return callback(err, null);
+        callback(null, result.rows[0]);
+      });
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Find chunks by stream ID
+  findByStreamId: async (streamId, callback) => {
+    try {
+      const query = `
+        SELECT * FROM chunks 
+        WHERE stream_id = $1 
+        ORDER BY chunk_index ASC
+      `;
+      const result = await executeQuery(query, [streamId]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Find one chunk of a stream by its index
+  findByIndex: async (streamId, chunkIndex, callback) => {
+    try {
+      const query = 'SELECT * FROM chunks WHERE stream_id = $1 AND chunk_index = $2';
+      const result = await executeQuery(query, [streamId, chunkIndex]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Update chunk with Arweave transaction ID
+  updateArweaveStatus: async (chunkId, arweaveTxId, callback) => {
+    try {
+      const query = `
+        UPDATE chunks 
+        SET arweave_tx_id = $1, archived_at = CURRENT_TIMESTAMP, status = 'archived'
+        WHERE id = $2
+      `;
+      await executeQuery(query, [arweaveTxId, chunkId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Update stream statistics
+  updateStreamStats: async (streamId, callback) => {
+    try {
+      const query = `
+        UPDATE streams 
+        SET 
+          chunk_count = (SELECT COUNT(*) FROM chunks WHERE stream_id = $1),
+          total_size = (SELECT COALESCE(SUM(size), 0) FROM chunks WHERE stream_id = $2),
+          duration_ms = (SELECT COALESCE(SUM(duration_ms), 0) FROM chunks WHERE stream_id = $2),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `;
+      await executeQuery(query, [streamId, streamId, streamId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Get chunk statistics
+  getStreamStats: async (streamId, callback) => {
+    try {
+      const query = `
+        SELECT 
+          COUNT(*) as total_chunks,
+          COALESCE(SUM(size), 0) as total_size,
+          COUNT(CASE WHEN arweave_tx_id IS NOT NULL THEN 1 END) as archived_chunks,
+          MIN(timestamp) as start_time,
+          MAX(timestamp) as end_time
+        FROM chunks 
+        WHERE stream_id = $1
+      `;
+      const result = await executeQuery(query, [streamId]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  }
+};
+
+// Stream export model methods
+const StreamExportModel = {
+  // Create a pending export job
+  create: async (exportData, callback) => {
+    try {
+      const { id, streamId, userId, requestedFormat, storePermanently } = exportData;
+      const query = `
+        INSERT INTO stream_exports (id, stream_id, user_id, requested_format, store_permanently)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [id, streamId, userId, requestedFormat, !!storePermanently]);
+      callback(null, result.rows[0]);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Find export job by ID
+  findById: async (exportId, callback) => {
+    try {
+      const query = 'SELECT * FROM stream_exports WHERE id = $1';
+      const result = await executeQuery(query, [exportId]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Find the latest export of a stream that can stand in for a new request: same requested
+  // format, not failed, and stored permanently if that was asked for
+  findReusable: async (streamId, requestedFormat, storePermanently, callback) => {
+    try {
+      const query = `
+        SELECT * FROM stream_exports 
+        WHERE stream_id = $1 AND requested_format = $2 AND status <> 'failed'
+        AND (store_permanently OR NOT $3)
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+      const result = await executeQuery(query, [streamId, requestedFormat, !!storePermanently]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Claim the oldest pending job (or one left processing by a crashed worker) for processing
+  claimNext: async (callback) => {
+    try {
+      const query = `
+        UPDATE stream_exports 
+        SET status = 'processing', started_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM stream_exports
+          WHERE status = 'pending'
+          OR (status = 'processing' AND started_at < CURRENT_TIMESTAMP - INTERVAL '30 minutes')
+          ORDER BY created_at
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      const result = await executeQuery(query);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Mark a job completed with the assembled file's details
+  complete: async (exportId, result, callback) => {
+    try {
+      const { format, size, chunkCount, ipfsHash } = result;
+      const query = `
+        UPDATE stream_exports 
+        SET status = 'completed', format = $2, size = $3, chunk_count = $4, ipfs_hash = $5, 
+            error = NULL, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `;
+      const updated = await executeQuery(query, [exportId, format, size, chunkCount, ipfsHash || null]);
+      callback(null, updated.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Mark a job failed
+  fail: async (exportId, error, callback) => {
+    try {
+      const query = `
+        UPDATE stream_exports 
+        SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `;
+      await executeQuery(query, [exportId, String(error).slice(0, 1000)]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Record the Arweave transaction of a stored export
+  updateArweaveStatus: async (exportId, arweaveTxId, callback) => {
+    try {
+      const query = 'UPDATE stream_exports SET arweave_tx_id = $2 WHERE id = $1';
+      await executeQuery(query, [exportId, arweaveTxId]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Delete finished jobs older than the retention period. Stored exports are kept, since
+  // their IPFS copy can still be downloaded once the local file is gone.
+  cleanupExpired: async (days, callback) => {
+    try {
+      const query = `
+        DELETE FROM stream_exports 
+        WHERE status IN ('completed', 'failed') AND NOT store_permanently
+        AND completed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')
+      `;
+      const result = await executeQuery(query, [days]);
+      callback(null, result.rowCount);
+    } catch (err) {
+      callback(err, null);
+    }
+  }
+};
+
+// Refresh token model methods
+const RefreshTokenModel = {
+  // Store a new refresh token (only its hash is persisted)
+  create: async (tokenData, callback) => {
+    try {
+      const { id, userId, familyId, token, expiresAt } = tokenData;
+      const query = `
+        INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, user_id, family_id, expires_at, created_at
+      `;
+      const result = await executeQuery(query, [id, userId, familyId, hashToken(token), expiresAt]);
+      callback(null, result.rows[0]);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Find a refresh token record by its raw value
+  findByToken: async (token, callback) => {
+    try {
+      const query = 'SELECT * FROM refresh_tokens WHERE token_hash = $1';
+      const result = await executeQuery(query, [hashToken(token)]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Mark a token as rotated. Returns null if it was already rotated or revoked,
+  // so two concurrent refreshes with the same token cannot both succeed.
+  markRotated: async (id, replacedBy, callback) => {
+    try {
+      const query = `
+        UPDATE refresh_tokens
+        SET rotated_at = CURRENT_TIMESTAMP, replaced_by = $1
+        WHERE id = $2 AND rotated_at IS NULL AND revoked_at IS NULL
+        RETURNING id, user_id, family_id
+      `;
+      const result = await executeQuery(query, [replacedBy, id]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Clean up expired tokens (optional - for maintenance)
+  cleanupExpired: async (callback) => {
+    try {
+      const query = 'DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP';
+      const result = await executeQuery(query);
+      console.log(`Cleaned up ${result.rowCount} expired refresh tokens`);
+      callback(null, result.rowCount);
+    } catch (err) {
+      console.error('Error cleaning up expired refresh tokens:', err);
+      callback(err, null);
+    }
+  }
+};
+
+// Session model methods
+const SessionModel = {
+  // Record a new login session
+  create: async (sessionData, callback) => {
+    try {
+      const { id, userId, deviceName, userAgent, ipAddress } = sessionData;
+      const query = `
+        INSERT INTO sessions (id, user_id, device_name, user_agent, ip_address)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [id, userId, deviceName || null, userAgent || null, ipAddress || null]);
+      callback(null, result.rows[0]);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Look up a session for an authenticated request and refresh its last-seen
+  // time and IP (at most once a minute to keep writes down).
+  // Returns null if the session doesn't exist or has been revoked.
+  touch: async (sessionId, ipAddress, callback) => {
+    try {
+      const query = `
+        WITH current_session AS (
+          SELECT * FROM sessions WHERE id = $1 AND revoked_at IS NULL
+        ), touched AS (
+          UPDATE sessions 
+          SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+          WHERE id = $1 AND revoked_at IS NULL
+          AND last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute'
+        )
+        SELECT * FROM current_session
+      `;
+      const result = await executeQuery(query, [sessionId, ipAddress || null]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // List a user's active sessions, most recently used first
+  findActiveByUserId: async (userId, callback) => {
+    try {
+      const query = `
+        SELECT id, device_name, user_agent, ip_address, created_at, last_seen_at
+        FROM sessions 
+        WHERE user_id = $1 AND revoked_at IS NULL
+        ORDER BY last_seen_at DESC
+      `;
+      const result = await executeQuery(query, [userId]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Revoke sessions matching a condition, along with their refresh tokens
+  revokeWhere: async (condition, params, callback) => {
+    try {
+      const sessionQuery = `
+        UPDATE sessions 
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE ${condition} AND revoked_at IS NULL
+        RETURNING id
+      `;
+      const result = await executeQuery(sessionQuery, params);
+      const sessionIds = result.rows.map(row => row.id);
+
+      if (sessionIds.length > 0) {
+        const tokenQuery = `
+          UPDATE refresh_tokens 
+          SET revoked_at = CURRENT_TIMESTAMP
+          WHERE family_id = ANY($1) AND revoked_at IS NULL
+        `;
+        await executeQuery(tokenQuery, [sessionIds]);
+      }
+
+      callback(null, sessionIds.length);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Revoke a single session (logout or detected refresh token reuse)
+  revoke: (sessionId, callback) => {
+    SessionModel.revokeWhere('id = $1', [sessionId], callback);
+  },
+
+  // Revoke one of a user's sessions. Returns 0 if it isn't theirs or is already revoked.
+  revokeForUser: (sessionId, userId, callback) => {
+    SessionModel.revokeWhere('id = $1 AND user_id = $2', [sessionId, userId], callback);
+  },
+
+  // Revoke all of a user's sessions, optionally keeping one (the current device)
+  revokeAllForUser: (userId, exceptSessionId, callback) => {
+    SessionModel.revokeWhere('user_id = $1 AND id IS DISTINCT FROM $2', [userId, exceptSessionId || null], callback);
+  }
+};
+
+// Personal access token model methods
+const PersonalAccessTokenModel = {
+  // Store a new token (the raw token is hashed here, only its prefix is kept for display)
+  create: async (tokenData, callback) => {
+    try {
+      const { id, userId, name, token, tokenPrefix, scopes, expiresAt } = tokenData;
+      const query = `
+        INSERT INTO personal_access_tokens (id, user_id, name, token_hash, token_prefix, scopes, expires_at, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, name, token_prefix, scopes, expires_at, created_at
+      `;
+      // created_at uses the app clock, like password_changed_at, so a password change revokes
+      // exactly the tokens created before it whatever the database clock and time zone
+      const result = await executeQuery(query, [id, userId, name, hashToken(token), tokenPrefix, scopes, expiresAt || null, new Date()]);
+      callback(null, result.rows[0]);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Look up a live token for an authenticated request and record its use
+  // (at most once a minute, like SessionModel.touch).
+  // Returns null if the token doesn't exist, was revoked or has expired.
+  touch: async (token, ipAddress, callback) => {
+    try {
+      const query = `
+        WITH current_token AS (
+          SELECT * FROM personal_access_tokens 
+          WHERE token_hash = $1 AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        ), touched AS (
+          UPDATE personal_access_tokens 
+          SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = COALESCE($2, last_used_ip)
+          WHERE id IN (SELECT id FROM current_token)
+          AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+        )
+        SELECT * FROM current_token
+      `;
+      const result = await executeQuery(query, [hashToken(token), ipAddress || null]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // List a user's live tokens, newest first. Tokens created before the last password change
+  // are left out, as authentication rejects them (compared to the second, like token iat).
+  findActiveByUserId: async (userId, callback) => {
+    try {
+      const query = `
+        SELECT t.id, t.name, t.token_prefix, t.scopes, t.expires_at, t.last_used_at, t.last_used_ip, t.created_at
+        FROM personal_access_tokens t 
+        JOIN users u ON u.id = t.user_id
+        WHERE t.user_id = $1 AND t.revoked_at IS NULL
+        AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+        AND (u.password_changed_at IS NULL 
+             OR date_trunc('second', t.created_at) >= date_trunc('second', u.password_changed_at))
+        ORDER BY t.created_at DESC
+      `;
+      const result = await executeQuery(query, [userId]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Revoke one of a user's tokens. Returns false if it isn't theirs or is already revoked.
+  revokeForUser: async (tokenId, userId, callback) => {
+    try {
+      const query = `
+        UPDATE personal_access_tokens 
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        RETURNING id
+      `;
+      const result = await executeQuery(query, [tokenId, userId]);
+      callback(null, result.rows.length > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  }
+};
+
+// Email outbox model methods
+const EmailOutboxModel = {
+  // Queue a rendered message. Messages about to be delivered straight away are
+  // inserted as 'sending' so the background processor doesn't pick them up too.
+  enqueue: async (message, callback) => {
+    try {
+      const { id, template, recipient, subject, html, text, sendNow } = message;
+      const query = `
+        INSERT INTO email_outbox (id, template, recipient, subject, html, text_body, status, attempts)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [
+        id, template, recipient, subject, html, text,
+        sendNow ? 'sending' : 'pending',
+        sendNow ? 1 : 0
+      ]);
+      callback(null, result.rows[0]);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Claim messages that are due for (another) attempt. Messages stuck in 'sending'
+  // for 10 minutes (e.g. the process died mid-send) are claimed again.
+  claimDue: async (limit, callback) => {
+    try {
+      const query = `
+        UPDATE email_outbox 
+        SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM email_outbox
+          WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes')
+          ORDER BY next_attempt_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      const result = await executeQuery(query, [limit]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Record a successful delivery. The body is dropped since it may contain single-use codes.
+  markSent: async (id, callback) => {
+    try {
+      const query = `
+        UPDATE email_outbox 
+        SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+            html = NULL, text_body = NULL, last_error = NULL
+        WHERE id = $1
+      `;
+      await executeQuery(query, [id]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Record a failed attempt: retry at nextAttemptAt, or give up ('failed') when it is null
+  markFailed: async (id, error, nextAttemptAt, callback) => {
+    try {
+      const query = `
+        UPDATE email_outbox 
+        SET status = $2, last_error = $3, next_attempt_at = COALESCE($4, next_attempt_at),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, status, attempts
+      `;
+      const result = await executeQuery(query, [id, nextAttemptAt ? 'pending' : 'failed', error, nextAttemptAt]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // List messages in a given status for admins, newest first (bodies left out)
+  findByStatus: async (status, limit, callback) => {
+    try {
+      const query = `
+        SELECT id, template, recipient, subject, status, attempts, next_attempt_at,
+               last_error, created_at, updated_at, sent_at
+        FROM email_outbox 
+        WHERE status = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `;
+      const result = await executeQuery(query, [status, limit]);
+      callback(null, result.rows);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Put a failed message back in the queue for an immediate retry
+  requeue: async (id, callback) => {
+    try {
+      const query = `
+        UPDATE email_outbox 
+        SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'failed'
+        RETURNING id
+      `;
+      const result = await executeQuery(query, [id]);
+      callback(null, result.rows.length > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  },
+
+  // Count messages per status
+  getStats: async (callback) => {
+    try {
+      const query = 'SELECT status, COUNT(*)::int AS count FROM email_outbox GROUP BY status';
+      const result = await executeQuery(query);
+      const stats = { pending: 0, sending: 0, sent: 0, failed: 0 };
+      result.rows.forEach(row => { stats[row.status] = row.count; });
+      callback(null, stats);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Delete delivered messages older than the given number of days
+  cleanupSent: async (days, callback) => {
+    try {
+      const query = `
+        DELETE FROM email_outbox 
+        WHERE status = 'sent' AND sent_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')
+      `;
+      const result = await executeQuery(query, [days]);
+      callback(null, result.rowCount);
+    } catch (err) {
+      callback(err, null);
+    }
+  }
+};
+
+// Passwordless login code model methods. Codes are salted with the user ID before
+// hashing; magic link tokens are high-entropy and hashed on their own.
+const LoginCodeModel = {
+  // Store a new code and link for a user, replacing any they haven't used yet
+  create: async (codeData, callback) => {
+    try {
+      const { id, userId, code, linkToken, expiresAt } = codeData;
+
+      await executeQuery('DELETE FROM login_codes WHERE user_id = $1 AND consumed_at IS NULL', [userId]);
+
+      const query = `
+        INSERT INTO login_codes (id, user_id, code_hash, link_token_hash, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, expires_at
+      `;
+      const result = await executeQuery(query, [id, userId, hashToken(`${userId}:${code}`), hashToken(linkToken), expiresAt]);
+      callback(null, result.rows[0]);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Consume a user's code. Wrong guesses count towards maxAttempts, after which the
+  // code is dead. Calls back with (err, consumed, attemptsRemaining).
+  consumeCode: async (userId, code, maxAttempts, callback) => {
+    try {
+      const consumeQuery = `
+        UPDATE login_codes 
+        SET consumed_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND code_hash = $2 
+        AND consumed_at IS NULL 
+        AND expires_at > CURRENT_TIMESTAMP 
+        AND attempts < $3
+        RETURNING id
+      `;
+      const consumed = await executeQuery(consumeQuery, [userId, hashToken(`${userId}:${code}`), maxAttempts]);
+
+      if (consumed.rows.length > 0) {
+        return callback(null, true, null);
+      }
+
+      const attemptQuery = `
+        UPDATE login_codes 
+        SET attempts = attempts + 1
+        WHERE user_id = $1 AND consumed_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING attempts
+      `;
+      const attempt = await executeQuery(attemptQuery, [userId]);
+      const attemptsRemaining = attempt.rows.length > 0
+        ? Math.max(maxAttempts - attempt.rows[0].attempts, 0)
+        : 0;
+
+      callback(null, false, attemptsRemaining);
+    } catch (err) {
+      callback(err, false, 0);
+    }
+  },
+
+  // Consume a magic link token. Returns the user ID, or null if it is invalid, used or expired.
+  consumeLinkToken: async (linkToken, callback) => {
+    try {
+      const query = `
+        UPDATE login_codes 
+        SET consumed_at = CURRENT_TIMESTAMP
+        WHERE link_token_hash = $1 
+        AND consumed_at IS NULL 
+        AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+      `;
+      const result = await executeQuery(query, [hashToken(linkToken)]);
+      callback(null, result.rows[0] ? result.rows[0].user_id : null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Delete used and expired codes
+  cleanupExpired: async (callback) => {
+    try {
+      const query = 'DELETE FROM login_codes WHERE consumed_at IS NOT NULL OR expires_at < CURRENT_TIMESTAMP';
+      const result = await executeQuery(query);
+      callback(null, result.rowCount);
+    } catch (err) {
+      callback(err, null);
+    }
+  }
+};
+
+// Security event model methods (the table is append-only, so there is no update or delete)
+const SecurityEventModel = {
+  // Append an event
+  create: async (event, callback) => {
+    try {
+      const { userId, eventType, outcome, email, ipAddress, userAgent, sessionId, details } = event;
+      const query = `
+        INSERT INTO security_events (user_id, event_type, outcome, email, ip_address, user_agent, session_id, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+      `;
+      const result = await executeQuery(query, [
+        userId || null,
+        eventType,
+        outcome,
+        email || null,
+        ipAddress || null,
+        userAgent ? String(userAgent).slice(0, 500) : null,
+        sessionId || null,
+        details ? JSON.stringify(details) : null
+      ]);
+      callback(null, result.rows[0].id);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Query events, newest first. filters: { userId, eventType, outcome, email, ipAddress, from, to }.
+  // Calls back with (err, events, total).
+  find: async (filters, limit, offset, callback) => {
+    try {
+      const conditions = [];
+      const params = [];
+      const columns = {
+        userId: 'user_id = $',
+        eventType: 'event_type = $',
+        outcome: 'outcome = $',
+        email: 'LOWER(email) = LOWER($)',
+        ipAddress: 'ip_address = $',
+        from: 'created_at >= $',
+        to: 'created_at < $'
+      };
+
+      Object.entries(columns).forEach(([filter, condition]) => {
+        if (filters[filter] !== undefined && filters[filter] !== null && filters[filter] !== '') {
+          params.push(filters[filter]);
+          conditions.push(condition.replace('$', `$${params.length}`));
+        }
+      });
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await executeQuery(`SELECT COUNT(*)::int AS total FROM security_events ${where}`, params);
+      const query = `
+        SELECT id, user_id, event_type, outcome, email, ip_address, user_agent, session_id, details, created_at
+        FROM security_events 
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+      const result = await executeQuery(query, [...params, limit, offset]);
+
+      callback(null, result.rows, countResult.rows[0].total);
+    } catch (err) {
+      callback(err, null, 0);
+    }
+  }
+};
+
+// Idempotency key model methods. A key is claimed before the request runs and holds the
+// response once it completes; keys expire after IDEMPOTENCY_KEY_TTL_HOURS.
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// Claims left without a response this long (e.g. the server restarted mid-request) can be taken over
+const IDEMPOTENCY_CLAIM_TIMEOUT_MINUTES = 5;
+
+const IdempotencyKeyModel = {
+  // Claim a user's key for a request. Calls back with (err, claimed, record): when the key is
+  // already held, claimed is false and record is the existing claim.
+  claim: async (userId, key, requestHash, callback) => {
+    try {
+      const claimQuery = `
+        INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, idempotency_key) DO UPDATE 
+        SET request_hash = EXCLUDED.request_hash, 
+            status_code = NULL, 
+            response_body = NULL, 
+            created_at = CURRENT_TIMESTAMP, 
+            completed_at = NULL
+        WHERE idempotency_keys.created_at < CURRENT_TIMESTAMP - INTERVAL '${IDEMPOTENCY_KEY_TTL_HOURS} hours'
+        OR (idempotency_keys.completed_at IS NULL 
+            AND idempotency_keys.created_at < CURRENT_TIMESTAMP - INTERVAL '${IDEMPOTENCY_CLAIM_TIMEOUT_MINUTES} minutes')
+        RETURNING *
+      `;
+      const claimed = await executeQuery(claimQuery, [userId, key, requestHash]);
+
+      if (claimed.rows.length > 0) {
+        return callback(null, true, claimed.rows[0]);
+      }
+
+      const existing = await executeQuery(
+        'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+        [userId, key]
+      );
+      callback(null, false, existing.rows[0] || null);
+    } catch (err) {
+      callback(err, false, null);
+    }
+  },
+
+  // Store the response for a claimed key
+  complete: async (id, statusCode, responseBody, callback) => {
+    try {
+      const query = `
+        UPDATE idempotency_keys 
+        SET status_code = $2, response_body = $3, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `;
+      await executeQuery(query, [id, statusCode, JSON.stringify(responseBody)]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Give up a claim so the request can be retried with the same key
+  release: async (id, callback) => {
+    try {
+      await executeQuery('DELETE FROM idempotency_keys WHERE id = $1 AND completed_at IS NULL', [id]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Delete expired keys
+  cleanupExpired: async (callback) => {
+    try {
+      const query = `
+        DELETE FROM idempotency_keys 
+        WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '${IDEMPOTENCY_KEY_TTL_HOURS} hours'
+      `;
+      const result = await executeQuery(query);
+      callback(null, result.rowCount);
+    } catch (err) {
+      callback(err, null);
+    }
+  }
+};
+
+// SIWE nonce model methods
+const SiweNonceModel = {
+  // Store a freshly issued nonce
+  create: async (nonce, expiresAt, callback) => {
+    try {
+      const query = 'INSERT INTO siwe_nonces (nonce, expires_at) VALUES ($1, $2)';
+      await executeQuery(query, [nonce, expiresAt]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Consume a nonce. Returns false if it was never issued, already used or expired.
+  consume: async (nonce, callback) => {
+    try {
+      const query = `
+        DELETE FROM siwe_nonces 
+        WHERE nonce = $1 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING nonce
+      `;
+      const result = await executeQuery(query, [nonce]);
+      callback(null, result.rows.length > 0);
+    } catch (err) {
+      callback(err, false);
+    }
+  },
+
+  // Clean up expired nonces (optional - for maintenance)
+  cleanupExpired: async (callback) => {
+    try {
+      const result = await executeQuery('DELETE FROM siwe_nonces WHERE expires_at < CURRENT_TIMESTAMP');
+      callback(null, result.rowCount);
+    } catch (err) {
+      callback(err, null);
+    }
+  }
+};
+
+// Auth throttle model methods (timing is computed in SQL so app and DB clocks can't disagree)
+const AuthThrottleModel = {
+  // Get throttle state for several keys at once
+  findByKeys: async (keys, callback) => {
+    try {
+      const query = `
+        SELECT key, failures, locked_until,
+               EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)) AS lock_seconds_remaining,
+               EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_failure_at)) AS seconds_since_failure
+        FROM auth_throttles 
+        WHERE key = ANY($1)
+      `;
+      const result = await executeQuery(query, [keys]);
+      callback(null, result.rows.map(row => ({
+        ...row,
+        lock_seconds_remaining: parseFloat(row.lock_seconds_remaining) || 0,
+        seconds_since_failure: parseFloat(row.seconds_since_failure) || 0
+      })));
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Count a failure. The counter restarts if the previous failure is older than the window.
+  recordFailure: async (key, windowMinutes, callback) => {
+    try {
+      const query = `
+        INSERT INTO auth_throttles (key, failures, last_failure_at)
+        VALUES ($1, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (key) DO UPDATE SET
+          failures = CASE 
+            WHEN auth_throttles.last_failure_at < CURRENT_TIMESTAMP - ($2 * INTERVAL '1 minute') THEN 1
+            ELSE auth_throttles.failures + 1
+          END,
+          last_failure_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING key, failures,
+                  EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)) AS lock_seconds_remaining
+      `;
+      const result = await executeQuery(query, [key, windowMinutes]);
+      const row = result.rows[0];
+      callback(null, { ...row, lock_seconds_remaining: parseFloat(row.lock_seconds_remaining) || 0 });
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Lock a key for a number of minutes, optionally with an unlock token (stored hashed)
+  lock: async (key, minutes, unlockToken, callback) => {
+    try {
+      const query = `
+        UPDATE auth_throttles 
+        SET locked_until = CURRENT_TIMESTAMP + ($1 * INTERVAL '1 minute'),
+            unlock_token_hash = $2,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE key = $3
+      `;
+      await executeQuery(query, [minutes, unlockToken ? hashToken(unlockToken) : null, key]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Clear a key after a successful attempt
+  reset: async (key, callback) => {
+    try {
+      await executeQuery('DELETE FROM auth_throttles WHERE key = $1', [key]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  },
+
+  // Clear a still-active lock using its unlock token. Returns the cleared row or null.
+  unlockWithToken: async (token, callback) => {
+    try {
+      const query = `
+        DELETE FROM auth_throttles 
+        WHERE unlock_token_hash = $1 AND locked_until > CURRENT_TIMESTAMP
+        RETURNING key
+      `;
+      const result = await executeQuery(query, [hashToken(token)]);
+      callback(null, result.rows[0] || null);
+    } catch (err) {
+      callback(err, null);
+    }
+  },
+
+  // Clean up stale counters (optional - for maintenance)
+  cleanupStale: async (callback) => {
+    try {
+      const query = `
+        DELETE FROM auth_throttles 
+        WHERE last_failure_at < CURRENT_TIMESTAMP - INTERVAL '1 day'
+        AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+      `;
+      const result = await executeQuery(query);
+      callback(null, result.rowCount);
+    } catch (err) {
+      callback(err, null);
+    }
   }
 };
 
@@ -541,4 +2469,22 @@ const db = {
   getClient: () => pool.connect()
 };
 
-module.exports = { db, UserModel, StreamModel, ChunkModel };
\ No newline at end of file
+module.exports = {
+  db,
+  ROLES,
+  TOKEN_SCOPES,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  UserModel,
+  StreamModel,
+  ChunkModel,
+  StreamExportModel,
+  RefreshTokenModel,
+  SessionModel,
+  PersonalAccessTokenModel,
+  EmailOutboxModel,
+  LoginCodeModel,
+  SecurityEventModel,
+  IdempotencyKeyModel,
+  SiweNonceModel,
+  AuthThrottleModel
+};
\ No newline at end of file
@@ -1,17 +1,474 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const ms = require('ms');
+const multer = require('multer');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
 const { body, validationResult } = require('express-validator');
-const { UserModel } = require('../models/user');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  UserModel,
+  RefreshTokenModel,
+  SessionModel,
+  SiweNonceModel,
+  PersonalAccessTokenModel,
+  LoginCodeModel,
+  SecurityEventModel,
+  AuthThrottleModel,
+  StreamModel,
+  ChunkModel,
+  TOKEN_SCOPES
+} = require('../models/user');
+const { API_TOKEN_PREFIX, authenticateToken, requireSession } = require('../middleware/auth');
+const TOTPService = require('../services/totp');
+const SIWEService = require('../services/siwe');
+const IPFSService = require('../services/ipfs');
+const MailerService = require('../services/mailer');
+const KeyRingService = require('../services/keyring');
+const StreamLifecycleService = require('../services/streamLifecycle');
+const StreamMetadataService = require('../services/streamMetadata');
+const AuditService = require('../services/audit');
+const { detectImageType } = require('../services/imageType');
+const { createError } = require('../services/errors');
 
 const router = express.Router();
 
-// Helper function to generate JWT (matches your iOS expectations)
-const generateToken = (userId, expiresIn = process.env.JWT_EXPIRES_IN) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn });
+const findUserStreams = promisify(StreamModel.findByUserId);
+const restoreUserStreams = promisify(StreamModel.restoreForUser);
+const findStreamChunks = promisify(ChunkModel.findByStreamId);
+
+// Account management needs an interactive session; personal access tokens are only for the streaming API
+const authenticateSession = [authenticateToken, requireSession];
+
+// Two-factor login challenge lifetime (time allowed between password and code steps)
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Configure multer for avatar uploads
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max avatar size
+  }
+});
+
+// Sign-In with Ethereum settings
+const SIWE_NONCE_TTL_MINUTES = 10;
+
+// Brute-force protection settings (failures are counted per account and per IP)
+const THROTTLE_WINDOW_MINUTES = parseInt(process.env.THROTTLE_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_MAX_FAILURES_PER_ACCOUNT = parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 10;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50;
+const RESET_MAX_REQUESTS_PER_ACCOUNT = 5;
+const RESET_MAX_REQUESTS_PER_IP = 20;
+const RESET_TOKEN_MAX_FAILURES_PER_IP = 10;
+const PROGRESSIVE_DELAY_THRESHOLD = 3; // failures allowed before delays start doubling
+const PROGRESSIVE_DELAY_MAX_SECONDS = 60;
+
+// Passwordless login settings
+const PASSWORDLESS_CODE_TTL_MINUTES = 10;
+const PASSWORDLESS_MAX_CODE_ATTEMPTS = 5;
+
+// Personal access token settings
+const API_TOKEN_MAX_EXPIRY_DAYS = 365;
+
+// Email verification settings
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+const VERIFICATION_RESEND_INTERVAL_SECONDS = parseInt(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS) || 60;
+
+// Helper function to issue a fresh verification token and email it to the user
+const sendVerificationEmail = (user, callback) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + VERIFICATION_TOKEN_TTL_HOURS);
+
+  UserModel.setVerificationToken(user.id, verificationToken, expiresAt, async (err) => {
+    if (err) return callback(err);
+
+    try {
+      const verifyUrl = `${process.env.FRONTEND_URL || 'https://zipiq.com'}/verify-email?token=${verificationToken}`;
+
+      await MailerService.send('email-verification', user.email, {
+        username: user.username,
+        verifyUrl,
+        token: verificationToken,
+        expiresInHours: VERIFICATION_TOKEN_TTL_HOURS
+      });
+
+      console.log(`✅ Verification email queued for ${user.email}`);
+      callback(null);
+    } catch (emailError) {
+      callback(emailError);
+    }
+  });
+};
+
+// Helper function to generate an access JWT bound to a session (matches your iOS expectations)
+const generateToken = (userId, sessionId) => {
+  return KeyRingService.sign(
+    { userId, sid: sessionId, type: 'access' },
+    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+  );
+};
+
+// Helper function to store a new opaque refresh token in a session's token family
+const issueRefreshToken = (userId, familyId, tokenId, callback) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + ms(process.env.JWT_REFRESH_EXPIRES_IN || '7d'));
+
+  RefreshTokenModel.create({
+    id: tokenId,
+    userId,
+    familyId,
+    token: refreshToken,
+    expiresAt
+  }, (err) => {
+    if (err) return callback(err, null);
+    callback(null, refreshToken);
+  });
+};
+
+// Helper function to start a new session for the requesting device and issue its first token pair
+const createSession = (req, userId, callback) => {
+  const sessionId = uuidv4();
+  const deviceName = req.body.deviceName || req.get('X-Device-Name');
+
+  SessionModel.create({
+    id: sessionId,
+    userId,
+    deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  }, (err) => {
+    if (err) return callback(err, null);
+
+    // The session ID doubles as the refresh token family ID
+    issueRefreshToken(userId, sessionId, uuidv4(), (err, refreshToken) => {
+      if (err) return callback(err, null);
+      callback(null, {
+        token: generateToken(userId, sessionId),
+        refreshToken,
+        sessionId
+      });
+    });
+  });
+};
+
+// Throttles guarding password login (and the 2FA step that follows it)
+const loginThrottles = (email, req) => [
+  { key: `login:account:${email}`, maxFailures: LOGIN_MAX_FAILURES_PER_ACCOUNT, progressive: true, email },
+  { key: `login:ip:${req.ip}`, maxFailures: LOGIN_MAX_FAILURES_PER_IP, progressive: true }
+];
+
+// Throttles limiting how often reset emails can be requested
+const forgotPasswordThrottles = (email, req) => [
+  { key: `forgot:account:${email}`, maxFailures: RESET_MAX_REQUESTS_PER_ACCOUNT },
+  { key: `forgot:ip:${req.ip}`, maxFailures: RESET_MAX_REQUESTS_PER_IP }
+];
+
+// Throttles limiting how often passwordless sign-in emails can be requested
+const passwordlessThrottles = (email, req) => [
+  { key: `passwordless:account:${email}`, maxFailures: RESET_MAX_REQUESTS_PER_ACCOUNT },
+  { key: `passwordless:ip:${req.ip}`, maxFailures: RESET_MAX_REQUESTS_PER_IP }
+];
+
+// Throttles stopping magic link tokens from being guessed
+const passwordlessLinkThrottles = (req) => [
+  { key: `passwordless-link:ip:${req.ip}`, maxFailures: RESET_TOKEN_MAX_FAILURES_PER_IP }
+];
+
+// Throttles stopping reset tokens from being guessed or enumerated
+const resetTokenThrottles = (req) => [
+  { key: `reset-token:ip:${req.ip}`, maxFailures: RESET_TOKEN_MAX_FAILURES_PER_IP }
+];
+
+// Helper function to check whether any throttle currently blocks a request.
+// Calls back with null, or with { status, code, message, retryAfter }.
+const checkThrottles = (throttles, callback) => {
+  AuthThrottleModel.findByKeys(throttles.map(t => t.key), (err, rows) => {
+    if (err) return callback(err, null);
+
+    for (const throttle of throttles) {
+      const row = rows.find(r => r.key === throttle.key);
+      if (!row) continue;
+
+      if (row.lock_seconds_remaining > 0) {
+        const retryAfter = Math.ceil(row.lock_seconds_remaining);
+
+        // Account lockouts get their own code so clients can point users at the unlock email
+        if (throttle.email) {
+          return callback(null, {
+            status: 423,
+            code: 'ACCOUNT_LOCKED',
+            message: 'Account temporarily locked after too many failed attempts. Check your email to unlock it.',
+            retryAfter
+          });
+        }
+
+        return callback(null, {
+          status: 429,
+          code: 'TOO_MANY_ATTEMPTS',
+          message: 'Too many attempts, please try again later.',
+          retryAfter
+        });
+      }
+
+      // Progressive delay: 1s, 2s, 4s ... between attempts once the threshold is passed
+      const excessFailures = row.failures - PROGRESSIVE_DELAY_THRESHOLD;
+      if (throttle.progressive && excessFailures >= 0) {
+        const delay = Math.min(Math.pow(2, excessFailures), PROGRESSIVE_DELAY_MAX_SECONDS);
+        if (row.seconds_since_failure < delay) {
+          return callback(null, {
+            status: 429,
+            code: 'TOO_MANY_ATTEMPTS',
+            message: 'Too many failed attempts, please wait before trying again.',
+            retryAfter: Math.ceil(delay - row.seconds_since_failure)
+          });
+        }
+      }
+    }
+
+    callback(null, null);
+  });
+};
+
+// Helper function to count a failure against each throttle, locking any that hit their limit
+const recordThrottleFailures = (throttles, callback) => {
+  const [throttle, ...remaining] = throttles;
+  if (!throttle) return callback(null);
+
+  AuthThrottleModel.recordFailure(throttle.key, THROTTLE_WINDOW_MINUTES, (err, row) => {
+    if (err) return callback(err);
+
+    if (row.failures < throttle.maxFailures || row.lock_seconds_remaining > 0) {
+      return recordThrottleFailures(remaining, callback);
+    }
+
+    // Account locks come with an emailed unlock token
+    const unlockToken = throttle.email ? crypto.randomBytes(32).toString('hex') : null;
+
+    AuthThrottleModel.lock(throttle.key, LOCKOUT_MINUTES, unlockToken, (err) => {
+      if (err) return callback(err);
+
+      console.warn(`🔒 Locked ${throttle.key} for ${LOCKOUT_MINUTES} minutes after ${row.failures} failures`);
+
+      AuditService.record(null, 'throttle.locked', 'blocked', {
+        email: throttle.email,
+        details: { key: throttle.key, failures: row.failures, lockoutMinutes: LOCKOUT_MINUTES }
+      });
+
+      if (throttle.email) {
+        sendAccountLockedEmail(throttle.email, unlockToken);
+      }
+
+      recordThrottleFailures(remaining, callback);
+    });
+  });
+};
+
+// Helper function to reset a throttle after a successful attempt
+const clearThrottle = (throttle) => {
+  AuthThrottleModel.reset(throttle.key, (err) => {
+    if (err) console.error('Error clearing throttle:', err);
+  });
+};
+
+// Helper function to respond to a throttled request
+const sendThrottled = (res, block, authResponse = false) => {
+  const req = res.req;
+
+  AuditService.record(req, 'request.throttled', 'blocked', {
+    email: req.body && req.body.email,
+    details: { code: block.code, path: req.originalUrl, retryAfter: block.retryAfter }
+  });
+
+  res.set('Retry-After', block.retryAfter.toString());
+
+  const base = authResponse
+    ? formatAuthResponse(false, null, null, null, block.message)
+    : { success: false, message: block.message };
+
+  res.status(block.status).json({
+    ...base,
+    code: block.code,
+    retryAfter: block.retryAfter
+  });
 };
 
+// Helper function to email an unlock link when an account gets locked (only if the account exists)
+const sendAccountLockedEmail = (email, unlockToken) => {
+  UserModel.findByEmail(email, async (err, user) => {
+    if (err || !user) {
+      if (err) console.error('Error looking up locked account:', err);
+      return;
+    }
+
+    try {
+      const unlockUrl = `${process.env.FRONTEND_URL || 'https://zipiq.com'}/unlock-account?token=${unlockToken}`;
+
+      await MailerService.send('account-locked', email, {
+        username: user.username,
+        unlockUrl,
+        token: unlockToken,
+        lockoutMinutes: LOCKOUT_MINUTES
+      });
+
+      console.log(`✅ Account locked email queued for ${email}`);
+    } catch (emailError) {
+      console.error('Error queueing account locked email:', emailError);
+    }
+  });
+};
+
+// Helper function to notify a user that their password was changed (by them or via reset)
+const sendPasswordChangedEmail = (user, req, how) => {
+  MailerService.send('security-alert', user.email, {
+    username: user.username,
+    title: 'Your password was changed',
+    message: `The password for your zipIQ account was ${how}. All other signed-in devices have been signed out.`,
+    details: [
+      `Time: ${new Date().toUTCString()}`,
+      `IP address: ${req.ip}`,
+      `Device: ${req.get('User-Agent') || 'unknown'}`
+    ],
+    actionAdvice: 'Reset your password immediately and contact support@zipiq.com.'
+  }).then(() => {
+    console.log(`✅ Password changed notice queued for ${user.email}`);
+  }).catch(emailError => {
+    console.error('Error queueing password changed notice:', emailError);
+  });
+};
+
+// Helper function to finish a successful login: new session, last login, AuthResponse.
+// method records how the user proved who they are (password, two_factor, siwe, passwordless, restore).
+const completeLogin = (req, res, user, method, message = 'Login successful') => {
+  createSession(req, user.id, (err, tokens) => {
+    if (err) {
+      console.error('Error creating session:', err);
+      return res.status(500).json(
+        formatAuthResponse(false, null, null, null, 'Failed to create session')
+      );
+    }
+
+    AuditService.record(req, 'login', 'success', {
+      userId: user.id,
+      email: user.email,
+      sessionId: tokens.sessionId,
+      details: { method }
+    });
+
+    // Update last login
+    UserModel.updateLastLogin(user.id, (err) => {
+      if (err) console.error('Error updating last login:', err);
+    });
+
+    // Return success response (matches iOS AuthResponse)
+    res.json(formatAuthResponse(true, tokens.token, tokens.refreshToken, user, message));
+  });
+};
+
+// Helper function to issue a short-lived token proving the password step of a 2FA login passed
+const generateTwoFactorChallenge = (userId) => {
+  return KeyRingService.sign(
+    { userId, type: '2fa_challenge' },
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+};
+
+// Helper function to check a TOTP code or a single-use recovery code
+const verifySecondFactor = (user, { code, recoveryCode }, callback) => {
+  if (code) {
+    const counter = TOTPService.verifyCode(user.two_factor_secret, String(code));
+    if (counter === null) return callback(null, false);
+    return UserModel.recordTwoFactorCounter(user.id, counter, callback);
+  }
+
+  if (recoveryCode) {
+    const normalized = TOTPService.normalizeRecoveryCode(recoveryCode);
+    return UserModel.consumeRecoveryCode(user.id, normalized, (err, consumed, remaining) => {
+      if (!err && consumed) {
+        console.log(`🔑 Recovery code used by user ${user.id} (${remaining} remaining)`);
+      }
+      callback(err, consumed);
+    });
+  }
+
+  callback(null, false);
+};
+
+// Helper function that only demands a second factor from users who enabled 2FA
+const verifySecondFactorIfEnabled = (user, factors, callback) => {
+  if (!user.two_factor_enabled) return callback(null, true);
+  verifySecondFactor(user, factors, callback);
+};
+
+// Helper function to verify a signed SIWE message from the request body and consume its nonce
+const verifySiweRequest = (req, callback) => {
+  const { message, signature } = req.body;
+
+  // Domains the message may be bound to (defaults to the host the request came in on)
+  const domains = process.env.SIWE_DOMAINS
+    ? process.env.SIWE_DOMAINS.split(',').map(d => d.trim())
+    : [req.get('host')];
+  const chainIds = process.env.SIWE_CHAIN_IDS
+    ? process.env.SIWE_CHAIN_IDS.split(',').map(id => parseInt(id.trim()))
+    : null;
+
+  let siweMessage;
+  try {
+    siweMessage = SIWEService.verify(message, signature, { domains, chainIds });
+  } catch (error) {
+    return callback(error, null);
+  }
+
+  SiweNonceModel.consume(siweMessage.nonce, (err, consumed) => {
+    if (err) return callback(err, null);
+    if (!consumed) {
+      return callback(createError('SIWE nonce is invalid, expired or already used', 'SIWE_NONCE_INVALID'), null);
+    }
+    callback(null, siweMessage);
+  });
+};
+
+// Helper function to respond to a failed SIWE verification
+const sendSiweError = (res, error, eventType) => {
+  if (error.code && error.code.startsWith('SIWE_')) {
+    AuditService.record(res.req, eventType, 'failure', {
+      details: { method: 'siwe', reason: error.code }
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error('SIWE verification error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+// Helper function to format a user row (matches your iOS User model)
+const formatUser = (user) => ({
+  id: user.id.toString(),
+  email: user.email,
+  username: user.username,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  bio: user.bio || null,
+  profileImageUrl: user.profile_image_url || null,
+  walletAddress: user.wallet_address || null,
+  createdAt: user.created_at,
+  isVerified: !!user.is_verified,
+  twoFactorEnabled: !!user.two_factor_enabled,
+  passwordlessEnabled: user.passwordless_enabled !== false,
+  role: user.role || 'user'
+});
+
 // Helper function to format response (matches your iOS AuthResponse model)
 const formatAuthResponse = (success, token, refreshToken, user, message = null) => {
   const expiresAt = new Date();
@@ -21,15 +478,7 @@ const formatAuthResponse = (success, token, refreshToken, user, message = null)
     success,
     token,
     refreshToken,
-    user: user ? {
-      id: user.id.toString(),
-      email: user.email,
-      username: user.username,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      createdAt: user.created_at,
-      isVerified: !!user.is_verified
-    } : null,
+    user: user ? formatUser(user) : null,
     message,
     expiresAt: expiresAt.toISOString()
   };
@@ -50,9 +499,10 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const throttles = loginThrottles(email, req);
 
-    // Find user by email
-    UserModel.findByEmail(email, async (err, user) => {
+    // Refuse attempts while the account or IP is locked out or cooling down
+    checkThrottles(throttles, (err, block) => {
       if (err) {
         console.error('Database error:', err);
         return res.status(500).json(
@@ -60,39 +510,71 @@ router.post('/login', [
         );
       }
 
-      if (!user) {
-        return res.status(401).json(
-          formatAuthResponse(false, null, null, null, 'Invalid email or password')
-        );
+      if (block) {
+        return sendThrottled(res, block, true);
       }
 
-      try {
-        // Check password
-        const passwordMatch = await bcrypt.compare(password, user.password_hash);
-        if (!passwordMatch) {
-          return res.status(401).json(
+      const rejectCredentials = (userId, reason) => {
+        AuditService.record(req, 'login', 'failure', {
+          userId,
+          email,
+          details: { method: 'password', reason }
+        });
+
+        recordThrottleFailures(throttles, (err) => {
+          if (err) console.error('Error recording failed login:', err);
+          res.status(401).json(
             formatAuthResponse(false, null, null, null, 'Invalid email or password')
           );
+        });
+      };
+
+      // Find user by email
+      UserModel.findByEmail(email, async (err, user) => {
+        if (err) {
+          console.error('Database error:', err);
+          return res.status(500).json(
+            formatAuthResponse(false, null, null, null, 'Internal server error')
+          );
         }
 
-        // Generate tokens
-        const token = generateToken(user.id);
-        const refreshToken = generateToken(user.id, process.env.JWT_REFRESH_EXPIRES_IN);
+        if (!user) {
+          return rejectCredentials(null, 'unknown_email');
+        }
 
-        // Update last login
-        UserModel.updateLastLogin(user.id, (err) => {
-          if (err) console.error('Error updating last login:', err);
-        });
+        try {
+          // Check password
+          const passwordMatch = await bcrypt.compare(password, user.password_hash);
+          if (!passwordMatch) {
+            return rejectCredentials(user.id, 'wrong_password');
+          }
 
-        // Return success response (matches iOS AuthResponse)
-        res.json(formatAuthResponse(true, token, refreshToken, user, 'Login successful'));
+          // Accounts with 2FA get a challenge instead of tokens (failures are
+          // only cleared once the second factor has also been verified)
+          if (user.two_factor_enabled) {
+            AuditService.record(req, 'login.two_factor_challenge', 'success', {
+              userId: user.id,
+              email: user.email,
+              details: { method: 'password' }
+            });
 
-      } catch (error) {
-        console.error('Password comparison error:', error);
-        res.status(500).json(
-          formatAuthResponse(false, null, null, null, 'Authentication error')
-        );
-      }
+            return res.json({
+              ...formatAuthResponse(false, null, null, null, 'Two-factor authentication required'),
+              twoFactorRequired: true,
+              challengeToken: generateTwoFactorChallenge(user.id)
+            });
+          }
+
+          clearThrottle(throttles[0]);
+          completeLogin(req, res, user, 'password');
+
+        } catch (error) {
+          console.error('Password comparison error:', error);
+          res.status(500).json(
+            formatAuthResponse(false, null, null, null, 'Authentication error')
+          );
+        }
+      });
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -102,6 +584,92 @@ router.post('/login', [
   }
 });
 
+// POST /auth/login/2fa - Second login step for accounts with 2FA enabled
+router.post('/login/2fa', [
+  body('challengeToken').isLength({ min: 1 }),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], (req, res) => {
+  const errors = validationResult(req);
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!errors.isEmpty() || (!code && !recoveryCode)) {
+    return res.status(400).json(
+      formatAuthResponse(false, null, null, null, 'Challenge token and a two-factor code or recovery code are required')
+    );
+  }
+
+  KeyRingService.verify(challengeToken, (err, decoded) => {
+    if (err || decoded.type !== '2fa_challenge') {
+      AuditService.record(req, 'login', 'failure', {
+        details: { method: 'two_factor', reason: 'invalid_challenge' }
+      });
+
+      return res.status(401).json(
+        formatAuthResponse(false, null, null, null, 'Invalid or expired login challenge')
+      );
+    }
+
+    UserModel.findById(decoded.userId, (err, user) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json(
+          formatAuthResponse(false, null, null, null, 'Internal server error')
+        );
+      }
+
+      if (!user || !user.two_factor_enabled) {
+        return res.status(401).json(
+          formatAuthResponse(false, null, null, null, 'Invalid or expired login challenge')
+        );
+      }
+
+      // Wrong codes count against the same counters as wrong passwords
+      const throttles = loginThrottles(user.email, req);
+
+      checkThrottles(throttles, (err, block) => {
+        if (err) {
+          console.error('Database error:', err);
+          return res.status(500).json(
+            formatAuthResponse(false, null, null, null, 'Internal server error')
+          );
+        }
+
+        if (block) {
+          return sendThrottled(res, block, true);
+        }
+
+        verifySecondFactor(user, { code, recoveryCode }, (err, passed) => {
+          if (err) {
+            console.error('Error verifying second factor:', err);
+            return res.status(500).json(
+              formatAuthResponse(false, null, null, null, 'Internal server error')
+            );
+          }
+
+          if (!passed) {
+            AuditService.record(req, 'login', 'failure', {
+              userId: user.id,
+              email: user.email,
+              details: { method: 'two_factor', reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_code' }
+            });
+
+            return recordThrottleFailures(throttles, (err) => {
+              if (err) console.error('Error recording failed 2FA attempt:', err);
+              res.status(401).json(
+                formatAuthResponse(false, null, null, null, 'Invalid two-factor code')
+              );
+            });
+          }
+
+          clearThrottle(throttles[0]);
+          completeLogin(req, res, user, 'two_factor');
+        });
+      });
+    });
+  });
+});
+
 // POST /auth/register - Matches your iOS SignupRequest model
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -131,6 +699,11 @@ router.post('/register', [
       }
 
       if (existingUser) {
+        AuditService.record(req, 'register', 'failure', {
+          email,
+          details: { reason: 'already_exists' }
+        });
+
         return res.status(409).json(
           formatAuthResponse(false, null, null, null, 'User with this email or username already exists')
         );
@@ -158,23 +731,40 @@ router.post('/register', [
             );
           }
 
-          // Generate tokens
-          const token = generateToken(user.id);
-          const refreshToken = generateToken(user.id, process.env.JWT_REFRESH_EXPIRES_IN);
-
-          // Get user profile for response
-          UserModel.getProfile(user.id, (err, profile) => {
+          // Start a new session and generate tokens
+          createSession(req, user.id, (err, tokens) => {
             if (err) {
-              console.error('Error retrieving user profile:', err);
+              console.error('Error creating session:', err);
               return res.status(500).json(
-                formatAuthResponse(false, null, null, null, 'User created but failed to retrieve profile')
+                formatAuthResponse(false, null, null, null, 'User created but failed to create session')
               );
             }
 
-            // Return success response (matches iOS AuthResponse)
-            res.status(201).json(
-              formatAuthResponse(true, token, refreshToken, profile, 'Account created successfully')
-            );
+            // Get user profile for response
+            UserModel.getProfile(user.id, (err, profile) => {
+              if (err) {
+                console.error('Error retrieving user profile:', err);
+                return res.status(500).json(
+                  formatAuthResponse(false, null, null, null, 'User created but failed to retrieve profile')
+                );
+              }
+
+              AuditService.record(req, 'register', 'success', {
+                userId: profile.id,
+                email: profile.email,
+                sessionId: tokens.sessionId
+              });
+
+              // Send verification email without holding up the response
+              sendVerificationEmail(profile, (err) => {
+                if (err) console.error('Error sending verification email:', err);
+              });
+
+              // Return success response (matches iOS AuthResponse)
+              res.status(201).json(
+                formatAuthResponse(true, tokens.token, tokens.refreshToken, profile, 'Account created successfully')
+              );
+            });
           });
         });
       } catch (hashError) {
@@ -206,29 +796,103 @@ router.post('/refresh', [
 
     const { refreshToken } = req.body;
 
-    jwt.verify(refreshToken, process.env.JWT_SECRET, (err, decoded) => {
+    RefreshTokenModel.findByToken(refreshToken, (err, storedToken) => {
       if (err) {
+        console.error('Database error during token refresh:', err);
+        return res.status(500).json(
+          formatAuthResponse(false, null, null, null, 'Internal server error')
+        );
+      }
+
+      if (!storedToken || storedToken.revoked_at) {
+        AuditService.record(req, 'token.refresh', 'failure', {
+          userId: storedToken && storedToken.user_id,
+          details: { reason: storedToken ? 'revoked' : 'unknown_token' }
+        });
+
         return res.status(403).json(
           formatAuthResponse(false, null, null, null, 'Invalid refresh token')
         );
       }
 
-      // Get user to include in response
-      UserModel.getProfile(decoded.userId, (err, user) => {
-        if (err || !user) {
-          return res.status(404).json(
-            formatAuthResponse(false, null, null, null, 'User not found')
+      if (new Date(storedToken.expires_at) <= new Date()) {
+        AuditService.record(req, 'token.refresh', 'failure', {
+          userId: storedToken.user_id,
+          sessionId: storedToken.family_id,
+          details: { reason: 'expired' }
+        });
+
+        return res.status(403).json(
+          formatAuthResponse(false, null, null, null, 'Refresh token expired')
+        );
+      }
+
+      // Reuse of an already-rotated token means it has leaked: kill the whole family
+      const rejectReuse = () => {
+        console.warn(`⚠️ Refresh token reuse detected for user ${storedToken.user_id}, revoking session ${storedToken.family_id}`);
+        AuditService.record(req, 'token.refresh', 'blocked', {
+          userId: storedToken.user_id,
+          sessionId: storedToken.family_id,
+          details: { reason: 'reuse_detected', sessionRevoked: true }
+        });
+        SessionModel.revoke(storedToken.family_id, (err) => {
+          if (err) console.error('Error revoking session:', err);
+          res.status(403).json(
+            formatAuthResponse(false, null, null, null, 'Refresh token has already been used')
+          );
+        });
+      };
+
+      if (storedToken.rotated_at) {
+        return rejectReuse();
+      }
+
+      const newTokenId = uuidv4();
+
+      RefreshTokenModel.markRotated(storedToken.id, newTokenId, (err, rotated) => {
+        if (err) {
+          console.error('Error rotating refresh token:', err);
+          return res.status(500).json(
+            formatAuthResponse(false, null, null, null, 'Internal server error')
           );
         }
 
-        // Generate new tokens
-        const newToken = generateToken(decoded.userId);
-        const newRefreshToken = generateToken(decoded.userId, process.env.JWT_REFRESH_EXPIRES_IN);
+        // Another request rotated this token first
+        if (!rotated) {
+          return rejectReuse();
+        }
+
+        // Get user to include in response
+        UserModel.getProfile(storedToken.user_id, (err, user) => {
+          if (err || !user) {
+            return res.status(404).json(
+              formatAuthResponse(false, null, null, null, 'User not found')
+            );
+          }
 
-        // Return new tokens (matches iOS AuthResponse)
-        res.json(
-          formatAuthResponse(true, newToken, newRefreshToken, user, 'Tokens refreshed successfully')
-        );
+          // Generate new tokens in the same family
+          issueRefreshToken(user.id, storedToken.family_id, newTokenId, (err, newRefreshToken) => {
+            if (err) {
+              console.error('Error issuing refresh token:', err);
+              return res.status(500).json(
+                formatAuthResponse(false, null, null, null, 'Internal server error')
+              );
+            }
+
+            const newToken = generateToken(user.id, storedToken.family_id);
+
+            AuditService.record(req, 'token.refresh', 'success', {
+              userId: user.id,
+              email: user.email,
+              sessionId: storedToken.family_id
+            });
+
+            // Return new tokens (matches iOS AuthResponse)
+            res.json(
+              formatAuthResponse(true, newToken, newRefreshToken, user, 'Tokens refreshed successfully')
+            );
+          });
+        });
       });
     });
   } catch (error) {
@@ -240,102 +904,1679 @@ router.post('/refresh', [
 });
 
 // POST /auth/logout - Matches your iOS expectations
-router.post('/logout', authenticateToken, (req, res) => {
-  // In production, you would invalidate the token in a blacklist
-  // For now, return success (client will delete the token)
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
-});
-
-// GET /auth/profile - For your iOS getCurrentUser method
-router.get('/profile', authenticateToken, (req, res) => {
-  UserModel.getProfile(req.user.id, (err, profile) => {
+router.post('/logout', authenticateSession, (req, res) => {
+  // Revoke the current session so its refresh and access tokens stop working
+  SessionModel.revoke(req.user.sessionId, (err) => {
     if (err) {
-      console.error('Error retrieving profile:', err);
+      console.error('Error revoking session on logout:', err);
       return res.status(500).json({
         success: false,
-        message: 'Failed to retrieve profile'
+        message: 'Failed to log out'
       });
     }
 
-    if (!profile) {
-      return res.status(404).json({
-        success: false,
-        message: 'Profile not found'
-      });
+    AuditService.record(req, 'logout', 'success');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  });
+});
+
+// ==============================================
+// SESSION MANAGEMENT ENDPOINTS
+// ==============================================
+
+// GET /auth/sessions - List the current user's active sessions (devices)
+router.get('/sessions', authenticateSession, (req, res) => {
+  SessionModel.findActiveByUserId(req.user.id, (err, sessions) => {
+    if (err) {
+      console.error('Error retrieving sessions:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve sessions'
+      });
+    }
+
+    AuditService.record(req, 'session.list', 'success', {
+      details: { count: sessions.length }
+    });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        current: session.id === req.user.sessionId
+      }))
+    });
+  });
+});
+
+// DELETE /auth/sessions/:id - Revoke one session (signs that device out)
+router.delete('/sessions/:id', authenticateSession, (req, res) => {
+  SessionModel.revokeForUser(req.params.id, req.user.id, (err, revokedCount) => {
+    if (err) {
+      console.error('Error revoking session:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session'
+      });
+    }
+
+    if (revokedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    AuditService.record(req, 'session.revoke', 'success', {
+      details: { revokedSessionId: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  });
+});
+
+// DELETE /auth/sessions - Revoke every session except the current one
+router.delete('/sessions', authenticateSession, (req, res) => {
+  SessionModel.revokeAllForUser(req.user.id, req.user.sessionId, (err, revokedCount) => {
+    if (err) {
+      console.error('Error revoking sessions:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke sessions'
+      });
+    }
+
+    AuditService.record(req, 'session.revoke_all', 'success', {
+      details: { revokedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'All other sessions revoked',
+      revokedCount
+    });
+  });
+});
+
+// ==============================================
+// PERSONAL ACCESS TOKEN ENDPOINTS
+// ==============================================
+
+// Helper function to format a personal access token for API responses (never includes the token itself)
+const formatApiToken = (apiToken) => ({
+  id: apiToken.id,
+  name: apiToken.name,
+  tokenPrefix: apiToken.token_prefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expires_at,
+  lastUsedAt: apiToken.last_used_at || null,
+  lastUsedIp: apiToken.last_used_ip || null,
+  createdAt: apiToken.created_at
+});
+
+// POST /auth/tokens - Create a named, scoped API token for encoders and scripts
+router.post('/tokens', authenticateSession, [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(TOKEN_SCOPES),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: API_TOKEN_MAX_EXPIRY_DAYS })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: `Token needs a name, at least one scope (${TOKEN_SCOPES.join(', ')}) and an optional expiry of 1-${API_TOKEN_MAX_EXPIRY_DAYS} days`,
+      errors: errors.array()
+    });
+  }
+
+  const { name, scopes, expiresInDays } = req.body;
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+    : null;
+
+  PersonalAccessTokenModel.create({
+    id: uuidv4(),
+    userId: req.user.id,
+    name,
+    token,
+    tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  }, (err, apiToken) => {
+    if (err) {
+      console.error('Error creating API token:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create API token'
+      });
+    }
+
+    console.log(`🔑 API token "${name}" created for user ${req.user.id}`);
+    AuditService.record(req, 'api_token.create', 'success', {
+      details: { tokenId: apiToken.id, name, scopes: apiToken.scopes, expiresAt }
+    });
+
+    // The raw token is only ever shown here
+    res.status(201).json({
+      success: true,
+      message: 'Copy this token now - it will not be shown again',
+      token,
+      apiToken: formatApiToken(apiToken)
+    });
+  });
+});
+
+// GET /auth/tokens - List the current user's active API tokens
+router.get('/tokens', authenticateSession, (req, res) => {
+  PersonalAccessTokenModel.findActiveByUserId(req.user.id, (err, apiTokens) => {
+    if (err) {
+      console.error('Error retrieving API tokens:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve API tokens'
+      });
+    }
+
+    AuditService.record(req, 'api_token.list', 'success', {
+      details: { count: apiTokens.length }
+    });
+
+    res.json({
+      success: true,
+      tokens: apiTokens.map(formatApiToken)
+    });
+  });
+});
+
+// DELETE /auth/tokens/:id - Revoke an API token
+router.delete('/tokens/:id', authenticateSession, (req, res) => {
+  PersonalAccessTokenModel.revokeForUser(req.params.id, req.user.id, (err, revoked) => {
+    if (err) {
+      console.error('Error revoking API token:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke API token'
+      });
+    }
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found',
+        code: 'API_TOKEN_NOT_FOUND'
+      });
+    }
+
+    console.log(`🔑 API token ${req.params.id} revoked for user ${req.user.id}`);
+    AuditService.record(req, 'api_token.revoke', 'success', {
+      details: { tokenId: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  });
+});
+
+// GET /auth/profile - For your iOS getCurrentUser method
+router.get('/profile', authenticateSession, (req, res) => {
+  UserModel.getProfile(req.user.id, (err, profile) => {
+    if (err) {
+      console.error('Error retrieving profile:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve profile'
+      });
+    }
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    AuditService.record(req, 'profile.view', 'success');
+
+    // Format response to match iOS expectations
+    res.json({
+      success: true,
+      user: formatUser(profile)
+    });
+  });
+});
+
+// PATCH /auth/profile - Update editable profile fields
+router.patch('/profile', authenticateSession, [
+  body('username').optional().isLength({ min: 3, max: 20 }).matches(/^[a-zA-Z0-9_]+$/),
+  body('firstName').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('lastName').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('bio').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid profile data',
+      errors: errors.array().map(error => ({ field: error.path, message: error.msg }))
+    });
+  }
+
+  const { username, firstName, lastName, bio } = req.body;
+
+  // Map API fields to columns explicitly; anything else in the body is ignored
+  const updateData = {
+    username,
+    first_name: firstName === '' ? null : firstName,
+    last_name: lastName === '' ? null : lastName,
+    bio: bio === '' ? null : bio
+  };
+
+  if (Object.values(updateData).every(value => value === undefined)) {
+    return res.status(400).json({
+      success: false,
+      message: 'No profile fields provided'
+    });
+  }
+
+  const applyUpdate = () => {
+    UserModel.updateProfile(req.user.id, updateData, (err) => {
+      if (err) {
+        // Unique violation: someone else took the username in the meantime
+        if (err.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'Username is already taken',
+            code: 'USERNAME_TAKEN'
+          });
+        }
+
+        console.error('Error updating profile:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update profile'
+        });
+      }
+
+      UserModel.getProfile(req.user.id, (err, profile) => {
+        if (err || !profile) {
+          console.error('Error retrieving updated profile:', err);
+          return res.status(500).json({
+            success: false,
+            message: 'Profile updated but failed to retrieve it'
+          });
+        }
+
+        AuditService.record(req, 'profile.update', 'success', {
+          details: { fields: Object.keys(updateData).filter(field => updateData[field] !== undefined) }
+        });
+
+        res.json({
+          success: true,
+          message: 'Profile updated successfully',
+          user: formatUser(profile)
+        });
+      });
+    });
+  };
+
+  if (!username || username === req.user.username) {
+    return applyUpdate();
+  }
+
+  UserModel.findByUsername(username, (err, existingUser) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (existingUser && existingUser.id !== req.user.id) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken',
+        code: 'USERNAME_TAKEN'
+      });
+    }
+
+    applyUpdate();
+  });
+});
+
+// POST /auth/profile/avatar - Upload a profile image
+router.post('/profile/avatar', authenticateSession, avatarUpload.single('avatar'), async (req, res) => {
+  try {
+    const { buffer } = req.file || {};
+
+    if (!buffer) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image provided'
+      });
+    }
+
+    const imageType = detectImageType(buffer);
+    if (!imageType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Avatar must be a JPEG, PNG or WebP image',
+        code: 'INVALID_IMAGE_TYPE'
+      });
+    }
+
+    // Store the image alongside stream content; the API serves it from there
+    const uploadResult = await IPFSService.uploadBuffer(buffer, `avatar-${req.user.id}${imageType.extension}`);
+    const profileImageUrl = `${req.baseUrl}/users/${req.user.id}/avatar`;
+
+    UserModel.setAvatar(req.user.id, uploadResult.hash, profileImageUrl, (err) => {
+      if (err) {
+        console.error('Error saving avatar URL:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update avatar'
+        });
+      }
+
+      console.log(`🖼️ Avatar updated for user ${req.user.id}: ${uploadResult.hash}`);
+      AuditService.record(req, 'profile.avatar_update', 'success', {
+        details: { ipfsHash: uploadResult.hash }
+      });
+
+      res.json({
+        success: true,
+        message: 'Avatar updated successfully',
+        profileImageUrl,
+        ipfsHash: uploadResult.hash
+      });
+    });
+
+  } catch (error) {
+    console.error('❌ Avatar upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload avatar'
+    });
+  }
+});
+
+// GET /auth/users/:userId/avatar - A user's uploaded avatar (revalidated through its ETag).
+// Not audited: it's a public image fetched wherever the user appears.
+router.get('/users/:userId/avatar', (req, res) => {
+  if (!/^\d+$/.test(req.params.userId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Avatar not found'
+    });
+  }
+
+  UserModel.findById(parseInt(req.params.userId), async (err, user) => {
+    if (err) {
+      console.error('Error loading user for avatar:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Database error'
+      });
+    }
+
+    try {
+      if (!user || !user.avatar_hash) {
+        return res.status(404).json({
+          success: false,
+          message: 'Avatar not found'
+        });
+      }
+
+      // The URL stays the same when the avatar changes, so clients revalidate every time
+      res.set({ 'ETag': `"${user.avatar_hash}"`, 'Cache-Control': 'no-cache' });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const content = await IPFSService.getContent(user.avatar_hash);
+      if (!content) {
+        res.removeHeader('ETag');
+        return res.status(503).json({
+          success: false,
+          message: 'Avatar is not available from storage'
+        });
+      }
+
+      res.type(content.mimetype).send(content.data);
+    } catch (error) {
+      console.error('❌ Error serving avatar:', error);
+      res.removeHeader('ETag');
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve avatar'
+      });
+    }
+  });
+});
+
+// ==============================================
+// DATA EXPORT & ACCOUNT DELETION ENDPOINTS
+// ==============================================
+
+// GET /auth/export - Download everything we hold about the current user
+router.get('/export', authenticateSession, (req, res) => {
+  UserModel.getProfile(req.user.id, async (err, profile) => {
+    if (err || !profile) {
+      console.error('Error retrieving profile for export:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export account data'
+      });
+    }
+
+    try {
+      const streams = await findUserStreams(req.user.id);
+      const exportedStreams = [];
+
+      for (const stream of streams) {
+        const chunks = await findStreamChunks(stream.id);
+
+        exportedStreams.push({
+          id: stream.id,
+          title: stream.title,
+          description: stream.description,
+          isPrivate: !!stream.is_private,
+          status: stream.status,
+          metadataHash: stream.metadata_hash,
+          createdAt: stream.created_at,
+          chunks: chunks.map(chunk => ({
+            chunkIndex: chunk.chunk_index,
+            ipfsHash: chunk.ipfs_hash,
+            arweaveTxId: chunk.arweave_tx_id || null,
+            size: parseInt(chunk.size),
+            mimetype: chunk.mimetype,
+            timestamp: parseInt(chunk.timestamp),
+            uploadedAt: chunk.uploaded_at
+          }))
+        });
+      }
+
+      const exportedAt = new Date().toISOString();
+      const filename = `zipiq-export-${profile.username}-${exportedAt.slice(0, 10)}.json`;
+
+      console.log(`📦 Exported account data for user ${req.user.id} (${exportedStreams.length} streams)`);
+      AuditService.record(req, 'account.export', 'success', {
+        details: { streamCount: exportedStreams.length }
+      });
+
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.json({
+        exportVersion: 1,
+        exportedAt,
+        profile: {
+          ...formatUser(profile),
+          lastLogin: profile.last_login
+        },
+        streams: exportedStreams
+      });
+
+    } catch (error) {
+      console.error('❌ Account export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export account data'
+      });
+    }
+  });
+});
+
+// DELETE /auth/account - Delete the current account (restorable for a grace period)
+router.delete('/account', authenticateSession, [
+  body('password').isLength({ min: 1 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password is required to delete your account'
+    });
+  }
+
+  UserModel.findById(req.user.id, async (err, user) => {
+    if (err || !user) {
+      console.error('Error loading user for account deletion:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    try {
+      const passwordMatch = await bcrypt.compare(req.body.password, user.password_hash);
+      if (!passwordMatch) {
+        AuditService.record(req, 'account.delete', 'failure', {
+          details: { reason: 'wrong_password' }
+        });
+
+        return res.status(401).json({
+          success: false,
+          message: 'Incorrect password',
+          code: 'INVALID_PASSWORD'
+        });
+      }
+    } catch (error) {
+      console.error('Password comparison error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication error'
+      });
+    }
+
+    verifySecondFactorIfEnabled(user, req.body, (err, passed) => {
+      if (err) {
+        console.error('Error verifying second factor for account deletion:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (!passed) {
+        AuditService.record(req, 'account.delete', 'failure', {
+          details: { reason: 'invalid_second_factor' }
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'A valid two-factor code or recovery code is required',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
+      UserModel.markDeleted(user.id, (err, deletedUser) => {
+        if (err || !deletedUser) {
+          console.error('Error deleting account:', err);
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to delete account'
+          });
+        }
+
+        // Sign out every device
+        SessionModel.revokeAllForUser(user.id, null, async (err) => {
+          if (err) console.error('Error revoking sessions for deleted account:', err);
+
+          try {
+            // Hide the user's streams the same way DELETE /stream/:streamId does
+            const streams = await findUserStreams(user.id);
+            for (const stream of streams) {
+              await StreamLifecycleService.transition(stream, 'deleted', { reason: 'account' });
+            }
+          } catch (error) {
+            console.error('Error deleting streams for deleted account:', error);
+          }
+
+          const restoreDeadline = new Date(deletedUser.deleted_at);
+          restoreDeadline.setDate(restoreDeadline.getDate() + ACCOUNT_DELETION_GRACE_DAYS);
+
+          console.log(`🗑️ Account deleted (restorable until ${restoreDeadline.toISOString()}): ${user.email}`);
+          AuditService.record(req, 'account.delete', 'success', {
+            details: { restoreDeadline: restoreDeadline.toISOString() }
+          });
+
+          res.json({
+            success: true,
+            message: `Account deleted. You can restore it within ${ACCOUNT_DELETION_GRACE_DAYS} days.`,
+            restoreDeadline: restoreDeadline.toISOString()
+          });
+        });
+      });
+    });
+  });
+});
+
+// POST /auth/account/restore - Undo an account deletion during the grace period
+router.post('/account/restore', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 1 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(
+      formatAuthResponse(false, null, null, null, 'Invalid email or password')
+    );
+  }
+
+  const { email, password } = req.body;
+  const throttles = loginThrottles(email, req);
+
+  checkThrottles(throttles, (err, block) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json(
+        formatAuthResponse(false, null, null, null, 'Internal server error')
+      );
+    }
+
+    if (block) {
+      return sendThrottled(res, block, true);
+    }
+
+    const rejectCredentials = (userId, reason) => {
+      AuditService.record(req, 'account.restore', 'failure', {
+        userId,
+        email,
+        details: { reason }
+      });
+
+      recordThrottleFailures(throttles, (err) => {
+        if (err) console.error('Error recording failed restore attempt:', err);
+        res.status(401).json(
+          formatAuthResponse(false, null, null, null, 'Invalid email or password, or the account can no longer be restored')
+        );
+      });
+    };
+
+    UserModel.findDeletedByEmail(email, ACCOUNT_DELETION_GRACE_DAYS, async (err, user) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json(
+          formatAuthResponse(false, null, null, null, 'Internal server error')
+        );
+      }
+
+      if (!user) {
+        return rejectCredentials(null, 'not_restorable');
+      }
+
+      try {
+        const passwordMatch = await bcrypt.compare(password, user.password_hash);
+        if (!passwordMatch) {
+          return rejectCredentials(user.id, 'wrong_password');
+        }
+      } catch (error) {
+        console.error('Password comparison error:', error);
+        return res.status(500).json(
+          formatAuthResponse(false, null, null, null, 'Authentication error')
+        );
+      }
+
+      verifySecondFactorIfEnabled(user, req.body, (err, passed) => {
+        if (err) {
+          console.error('Error verifying second factor for account restore:', err);
+          return res.status(500).json(
+            formatAuthResponse(false, null, null, null, 'Internal server error')
+          );
+        }
+
+        if (!passed) {
+          return rejectCredentials(user.id, 'invalid_second_factor');
+        }
+
+        UserModel.restoreDeleted(user.id, async (err, restoredUser) => {
+          if (err || !restoredUser) {
+            console.error('Error restoring account:', err);
+            return res.status(500).json(
+              formatAuthResponse(false, null, null, null, 'Failed to restore account')
+            );
+          }
+
+          try {
+            const streams = await restoreUserStreams(restoredUser.id);
+            for (const stream of streams) {
+              await StreamMetadataService.publish(stream, { change: 'restore' });
+            }
+            console.log(`♻️ Restored ${streams.length} streams for user ${restoredUser.id}`);
+          } catch (error) {
+            console.error('Error restoring streams for account:', error);
+          }
+
+          console.log(`♻️ Account restored: ${restoredUser.email}`);
+          AuditService.record(req, 'account.restore', 'success', {
+            userId: restoredUser.id,
+            email: restoredUser.email
+          });
+
+          clearThrottle(throttles[0]);
+          completeLogin(req, res, restoredUser, 'restore', 'Account restored successfully');
+        });
+      });
+    });
+  });
+});
+
+// ==============================================
+// PASSWORD CHANGE ENDPOINT
+// ==============================================
+
+// POST /auth/change-password - Change the password of the signed-in user
+router.post('/change-password', authenticateSession, [
+  body('currentPassword').isLength({ min: 1 }),
+  body('newPassword').isLength({ min: 8 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Current password and a new password (minimum 8 characters) are required'
+    });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  if (currentPassword === newPassword) {
+    return res.status(400).json({
+      success: false,
+      message: 'New password must be different from the current password',
+      code: 'PASSWORD_UNCHANGED'
+    });
+  }
+
+  UserModel.findById(req.user.id, (err, user) => {
+    if (err || !user) {
+      console.error('Error loading user for password change:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    // Guessing the current password from a stolen session counts against the login throttle
+    const throttles = loginThrottles(user.email, req);
+
+    checkThrottles(throttles, async (err, block) => {
+      if (err) {
+        console.error('Database error in change password:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (block) {
+        return sendThrottled(res, block);
+      }
+
+      try {
+        const passwordMatch = await bcrypt.compare(currentPassword, user.password_hash);
+        if (!passwordMatch) {
+          AuditService.record(req, 'password.change', 'failure', {
+            details: { reason: 'wrong_password' }
+          });
+
+          return recordThrottleFailures(throttles, (err) => {
+            if (err) console.error('Error recording failed password change attempt:', err);
+            res.status(401).json({
+              success: false,
+              message: 'Current password is incorrect',
+              code: 'INVALID_PASSWORD'
+            });
+          });
+        }
+
+        const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+        const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+
+        UserModel.changePassword(user.id, newPasswordHash, (err, updatedUser) => {
+          if (err || !updatedUser) {
+            console.error('Error updating password:', err);
+            return res.status(500).json({
+              success: false,
+              message: 'Failed to change password'
+            });
+          }
+
+          clearThrottle(throttles[0]);
+
+          // Sign out every other device; this one gets a fresh access token below
+          // since tokens issued before the change are now rejected
+          SessionModel.revokeAllForUser(user.id, req.user.sessionId, (err, revokedCount) => {
+            if (err) console.error('Error revoking sessions after password change:', err);
+
+            console.log(`✅ Password changed for user: ${updatedUser.email}`);
+            AuditService.record(req, 'password.change', 'success', {
+              details: { revokedSessions: revokedCount || 0 }
+            });
+
+            sendPasswordChangedEmail(updatedUser, req, 'changed');
+
+            res.json({
+              success: true,
+              message: 'Password changed successfully',
+              token: generateToken(user.id, req.user.sessionId),
+              revokedSessions: revokedCount || 0
+            });
+          });
+        });
+
+      } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+    });
+  });
+});
+
+// ==============================================
+// PASSWORD RESET ENDPOINTS
+// ==============================================
+
+// POST /auth/forgot-password - Request password reset
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid email address is required'
+      });
+    }
+
+    const { email } = req.body;
+    const throttles = forgotPasswordThrottles(email, req);
+
+    // Limit reset emails per address and per IP (counted whether or not the account exists)
+    checkThrottles(throttles, (err, block) => {
+      if (err) {
+        console.error('Database error in forgot password:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (block) {
+        return sendThrottled(res, block);
+      }
+
+      recordThrottleFailures(throttles, (err) => {
+        if (err) console.error('Error recording reset request:', err);
+
+        // Find user by email
+        UserModel.findByEmail(email, async (err, user) => {
+          if (err) {
+            console.error('Database error in forgot password:', err);
+            return res.status(500).json({
+              success: false,
+              message: 'Internal server error'
+            });
+          }
+
+          // Always return success for security (don't reveal if email exists)
+          const successResponse = {
+            success: true,
+            message: 'If an account with that email exists, we have sent a password reset link.'
+          };
+
+          if (!user) {
+            AuditService.record(req, 'password.reset_request', 'failure', {
+              email,
+              details: { reason: 'unknown_email' }
+            });
+
+            // User doesn't exist, but don't reveal this information
+            return res.json(successResponse);
+          }
+
+          try {
+            // Generate secure reset token
+            const resetToken = crypto.randomBytes(32).toString('hex');
+        
+            // Set expiration time (1 hour from now)
+            const expiresAt = new Date();
+            expiresAt.setHours(expiresAt.getHours() + 1);
+
+            // Save token to database
+            UserModel.setPasswordResetToken(email, resetToken, expiresAt, async (err, updatedUser) => {
+              if (err) {
+                console.error('Error saving reset token:', err);
+                return res.status(500).json({
+                  success: false,
+                  message: 'Internal server error'
+                });
+              }
+
+              try {
+                // Create reset URL (you'll need to update this with your actual frontend URL)
+                const resetUrl = `${process.env.FRONTEND_URL || 'https://zipiq.com'}/reset-password?token=${resetToken}`;
+
+                // Queue password reset email (delivery failures are retried and visible to admins)
+                await MailerService.send('password-reset', email, {
+                  username: user.username,
+                  resetUrl,
+                  token: resetToken,
+                  expiresInMinutes: 60
+                });
+            
+                console.log(`✅ Password reset email queued for ${email}`);
+                AuditService.record(req, 'password.reset_request', 'success', {
+                  userId: user.id,
+                  email
+                });
+                res.json(successResponse);
+
+              } catch (emailError) {
+                console.error('Error queueing password reset email:', emailError);
+                res.status(500).json({
+                  success: false,
+                  message: 'Failed to send password reset email, please try again'
+                });
+              }
+            });
+
+          } catch (tokenError) {
+            console.error('Error generating reset token:', tokenError);
+            res.status(500).json({
+              success: false,
+              message: 'Internal server error'
+            });
+          }
+        });
+      });
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/reset-password - Reset password with token
+router.post('/reset-password', [
+  body('token').isLength({ min: 1 }),
+  body('password').isLength({ min: 8 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid token and password (minimum 8 characters) are required'
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const throttles = resetTokenThrottles(req);
+
+    checkThrottles(throttles, (err, block) => {
+      if (err) {
+        console.error('Database error in reset password:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (block) {
+        return sendThrottled(res, block);
+      }
+
+      // Find user by reset token
+      UserModel.findByResetToken(token, async (err, user) => {
+        if (err) {
+          console.error('Database error in reset password:', err);
+          return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+          });
+        }
+
+        if (!user) {
+          AuditService.record(req, 'password.reset', 'failure', {
+            details: { reason: 'invalid_token' }
+          });
+
+          return recordThrottleFailures(throttles, (err) => {
+            if (err) console.error('Error recording failed reset attempt:', err);
+            res.status(400).json({
+              success: false,
+              message: 'Invalid or expired reset token'
+            });
+          });
+        }
+
+        // Accounts with 2FA must also present a second factor, otherwise access
+        // to the mailbox alone would be enough to take the account over
+        verifySecondFactorIfEnabled(user, req.body, async (err, passed) => {
+          if (err) {
+            console.error('Error verifying second factor in reset password:', err);
+            return res.status(500).json({
+              success: false,
+              message: 'Internal server error'
+            });
+          }
+
+          if (!passed) {
+            AuditService.record(req, 'password.reset', 'failure', {
+              userId: user.id,
+              email: user.email,
+              details: { reason: 'invalid_second_factor' }
+            });
+
+            return recordThrottleFailures(throttles, (err) => {
+              if (err) console.error('Error recording failed reset attempt:', err);
+              res.status(403).json({
+                success: false,
+                message: 'A valid two-factor code or recovery code is required',
+                code: 'TWO_FACTOR_REQUIRED'
+              });
+            });
+          }
+
+          try {
+            // Hash new password
+            const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+            const newPasswordHash = await bcrypt.hash(password, saltRounds);
+
+            // Update password and clear reset token
+            UserModel.updatePasswordWithToken(token, newPasswordHash, (err, updatedUser) => {
+              if (err) {
+                console.error('Error updating password:', err);
+                return res.status(500).json({
+                  success: false,
+                  message: 'Internal server error'
+                });
+              }
+
+              if (!updatedUser) {
+                return res.status(400).json({
+                  success: false,
+                  message: 'Invalid or expired reset token'
+                });
+              }
+
+              console.log(`✅ Password successfully reset for user: ${updatedUser.email}`);
+              AuditService.record(req, 'password.reset', 'success', {
+                userId: updatedUser.id,
+                email: updatedUser.email
+              });
+
+              // Sign out every device - tokens issued before the reset are rejected from now on
+              SessionModel.revokeAllForUser(updatedUser.id, null, (err) => {
+                if (err) console.error('Error revoking sessions after password reset:', err);
+
+                sendPasswordChangedEmail(updatedUser, req, 'reset using a password reset link');
+
+                res.json({
+                  success: true,
+                  message: 'Password has been reset successfully. You can now log in with your new password.'
+                });
+              });
+            });
+
+          } catch (hashError) {
+            console.error('Error hashing new password:', hashError);
+            res.status(500).json({
+              success: false,
+              message: 'Internal server error'
+            });
+          }
+        });
+      });
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /auth/validate-reset-token/:token - Validate reset token
+router.get('/validate-reset-token/:token', (req, res) => {
+  const { token } = req.params;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reset token is required'
+    });
+  }
+
+  const throttles = resetTokenThrottles(req);
+
+  checkThrottles(throttles, (err, block) => {
+    if (err) {
+      console.error('Database error in validate token:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (block) {
+      return sendThrottled(res, block);
     }
 
-    // Format response to match iOS expectations
+    UserModel.findByResetToken(token, (err, user) => {
+      if (err) {
+        console.error('Database error in validate token:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (!user) {
+        AuditService.record(req, 'password.reset_token_check', 'failure', {
+          details: { reason: 'invalid_token' }
+        });
+
+        return recordThrottleFailures(throttles, (err) => {
+          if (err) console.error('Error recording failed reset token check:', err);
+          res.status(400).json({
+            success: false,
+            message: 'Invalid or expired reset token'
+          });
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reset token is valid',
+        data: {
+          email: user.email,
+          expiresAt: user.reset_password_expires,
+          twoFactorRequired: !!user.two_factor_enabled
+        }
+      });
+    });
+  });
+});
+
+// POST /auth/unlock-account - Lift a login lockout with the emailed unlock token
+router.post('/unlock-account', [
+  body('token').isLength({ min: 1 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unlock token is required'
+    });
+  }
+
+  AuthThrottleModel.unlockWithToken(req.body.token, (err, unlocked) => {
+    if (err) {
+      console.error('Database error in unlock account:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (!unlocked) {
+      AuditService.record(req, 'account.unlock', 'failure', {
+        details: { reason: 'invalid_token' }
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    console.log(`🔓 Lockout lifted via unlock token: ${unlocked.key}`);
+    AuditService.record(req, 'account.unlock', 'success', {
+      details: { key: unlocked.key }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can now log in.'
+    });
+  });
+});
+
+// ==============================================
+// EMAIL VERIFICATION ENDPOINTS
+// ==============================================
+
+// POST /auth/verify-email - Verify email address with token
+router.post('/verify-email', [
+  body('token').isLength({ min: 1 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required'
+    });
+  }
+
+  const { token } = req.body;
+
+  UserModel.verifyEmailWithToken(token, (err, user) => {
+    if (err) {
+      console.error('Database error in verify email:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (!user) {
+      AuditService.record(req, 'email.verify', 'failure', {
+        details: { reason: 'invalid_token' }
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token',
+        code: 'VERIFICATION_TOKEN_INVALID'
+      });
+    }
+
+    console.log(`✅ Email verified for user: ${user.email}`);
+    AuditService.record(req, 'email.verify', 'success', {
+      userId: user.id,
+      email: user.email
+    });
+
+    // The bootstrap admin is only promoted once their address is verified
+    UserModel.promoteBootstrapAdmin((err, promoted) => {
+      if (err) console.error('Error promoting bootstrap admin:', err);
+      if (promoted) {
+        console.log(`👑 Promoted ${promoted.email} to admin`);
+        AuditService.record(req, 'role.change', 'success', {
+          userId: promoted.id,
+          email: promoted.email,
+          details: { role: 'admin', reason: 'bootstrap' }
+        });
+      }
+    });
+
     res.json({
       success: true,
-      user: {
-        id: profile.id.toString(),
-        email: profile.email,
-        username: profile.username,
-        firstName: profile.first_name,
-        lastName: profile.last_name,
-        createdAt: profile.created_at,
-        isVerified: !!profile.is_verified
+      message: 'Email verified successfully'
+    });
+  });
+});
+
+// POST /auth/resend-verification - Send a new verification email to the current user
+router.post('/resend-verification', authenticateSession, (req, res) => {
+  UserModel.findById(req.user.id, (err, user) => {
+    if (err) {
+      console.error('Database error in resend verification:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.is_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    // Throttle resends so the endpoint can't be used to spam an inbox
+    if (user.verification_sent_at) {
+      const elapsedSeconds = (Date.now() - new Date(user.verification_sent_at).getTime()) / 1000;
+      if (elapsedSeconds < VERIFICATION_RESEND_INTERVAL_SECONDS) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_INTERVAL_SECONDS - elapsedSeconds);
+        res.set('Retry-After', retryAfter.toString());
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+          code: 'VERIFICATION_RESEND_THROTTLED',
+          retryAfter
+        });
+      }
+    }
+
+    sendVerificationEmail(user, (err) => {
+      if (err) {
+        console.error('Error resending verification email:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to send verification email'
+        });
       }
+
+      AuditService.record(req, 'email.verification_resend', 'success');
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
     });
   });
 });
 
 // ==============================================
-// PASSWORD RESET ENDPOINTS
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
 // ==============================================
 
-// POST /auth/forgot-password - Request password reset
-router.post('/forgot-password', [
-  body('email').isEmail().normalizeEmail()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+// POST /auth/2fa/setup - Generate a TOTP secret for the current user
+router.post('/2fa/setup', authenticateSession, (req, res) => {
+  UserModel.findById(req.user.id, (err, user) => {
+    if (err || !user) {
+      console.error('Error loading user for 2FA setup:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = TOTPService.generateSecret();
+
+    UserModel.setTwoFactorSecret(user.id, secret, (err) => {
+      if (err) {
+        console.error('Error saving 2FA secret:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      AuditService.record(req, 'two_factor.setup', 'success');
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        secret,
+        otpauthUri: TOTPService.buildOtpAuthUri(secret, user.email)
+      });
+    });
+  });
+});
+
+// POST /auth/2fa/confirm - Confirm setup with a first code and receive recovery codes
+router.post('/2fa/confirm', authenticateSession, [
+  body('code').isString().isLength({ min: 6, max: 6 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A 6-digit code is required'
+    });
+  }
+
+  UserModel.findById(req.user.id, (err, user) => {
+    if (err || !user) {
+      console.error('Error loading user for 2FA confirm:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started',
+        code: 'TWO_FACTOR_NOT_SETUP'
+      });
+    }
+
+    verifySecondFactor(user, { code: req.body.code }, (err, passed) => {
+      if (err) {
+        console.error('Error verifying 2FA code:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (!passed) {
+        AuditService.record(req, 'two_factor.enable', 'failure', {
+          details: { reason: 'invalid_code' }
+        });
+
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code',
+          code: 'TWO_FACTOR_CODE_INVALID'
+        });
+      }
+
+      const recoveryCodes = TOTPService.generateRecoveryCodes();
+      const normalizedCodes = recoveryCodes.map(code => TOTPService.normalizeRecoveryCode(code));
+
+      UserModel.enableTwoFactor(user.id, normalizedCodes, (err) => {
+        if (err) {
+          console.error('Error enabling 2FA:', err);
+          return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+          });
+        }
+
+        console.log(`🔐 Two-factor authentication enabled for user: ${user.email}`);
+        AuditService.record(req, 'two_factor.enable', 'success');
+
+        // Recovery codes are only ever shown once
+        res.json({
+          success: true,
+          message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+          recoveryCodes
+        });
+      });
+    });
+  });
+});
+
+// POST /auth/2fa/disable - Turn off 2FA (requires password and a current code)
+router.post('/2fa/disable', authenticateSession, [
+  body('password').isLength({ min: 1 }),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], (req, res) => {
+  const errors = validationResult(req);
+  const { password, code, recoveryCode } = req.body;
+
+  if (!errors.isEmpty() || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password and a two-factor code or recovery code are required'
+    });
+  }
+
+  UserModel.findById(req.user.id, async (err, user) => {
+    if (err || !user) {
+      console.error('Error loading user for 2FA disable:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    if (!user.two_factor_enabled) {
       return res.status(400).json({
         success: false,
-        message: 'Valid email address is required'
+        message: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    try {
+      const passwordMatch = await bcrypt.compare(password, user.password_hash);
+      if (!passwordMatch) {
+        AuditService.record(req, 'two_factor.disable', 'failure', {
+          details: { reason: 'wrong_password' }
+        });
+
+        return res.status(401).json({
+          success: false,
+          message: 'Incorrect password',
+          code: 'INVALID_PASSWORD'
+        });
+      }
+    } catch (error) {
+      console.error('Password comparison error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication error'
+      });
+    }
+
+    verifySecondFactor(user, { code, recoveryCode }, (err, passed) => {
+      if (err) {
+        console.error('Error verifying 2FA code:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (!passed) {
+        AuditService.record(req, 'two_factor.disable', 'failure', {
+          details: { reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_code' }
+        });
+
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code',
+          code: 'TWO_FACTOR_CODE_INVALID'
+        });
+      }
+
+      UserModel.disableTwoFactor(user.id, (err) => {
+        if (err) {
+          console.error('Error disabling 2FA:', err);
+          return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+          });
+        }
+
+        console.log(`🔓 Two-factor authentication disabled for user: ${user.email}`);
+        AuditService.record(req, 'two_factor.disable', 'success');
+
+        res.json({
+          success: true,
+          message: 'Two-factor authentication disabled'
+        });
+      });
+    });
+  });
+});
+
+// ==============================================
+// PASSWORDLESS LOGIN ENDPOINTS
+// ==============================================
+
+// POST /auth/passwordless/start - Email a one-time sign-in code and magic link
+router.post('/passwordless/start', [
+  body('email').isEmail().normalizeEmail()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid email address is required'
+    });
+  }
+
+  const { email } = req.body;
+  const throttles = passwordlessThrottles(email, req);
+
+  // Limit sign-in emails per address and per IP (counted whether or not the account exists)
+  checkThrottles(throttles, (err, block) => {
+    if (err) {
+      console.error('Database error in passwordless start:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
       });
     }
 
-    const { email } = req.body;
+    if (block) {
+      return sendThrottled(res, block);
+    }
 
-    // Find user by email
-    UserModel.findByEmail(email, async (err, user) => {
-      if (err) {
-        console.error('Database error in forgot password:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Internal server error'
-        });
-      }
+    recordThrottleFailures(throttles, (err) => {
+      if (err) console.error('Error recording passwordless request:', err);
 
-      // Always return success for security (don't reveal if email exists)
-      const successResponse = {
-        success: true,
-        message: 'If an account with that email exists, we have sent a password reset link.'
-      };
+      UserModel.findByEmail(email, (err, user) => {
+        if (err) {
+          console.error('Database error in passwordless start:', err);
+          return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+          });
+        }
 
-      if (!user) {
-        // User doesn't exist, but don't reveal this information
-        return res.json(successResponse);
-      }
+        // Always return the same response (don't reveal whether the email exists or opted out)
+        const successResponse = {
+          success: true,
+          message: 'If this email can sign in without a password, we have sent a sign-in code.',
+          expiresInMinutes: PASSWORDLESS_CODE_TTL_MINUTES
+        };
 
-      try {
-        // Generate secure reset token
-        const crypto = require('crypto');
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        
-        // Set expiration time (1 hour from now)
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 1);
+        if (!user || user.passwordless_enabled === false) {
+          AuditService.record(req, 'passwordless.request', 'failure', {
+            userId: user && user.id,
+            email,
+            details: { reason: user ? 'disabled' : 'unknown_email' }
+          });
+
+          return res.json(successResponse);
+        }
 
-        // Save token to database
-        UserModel.setPasswordResetToken(email, resetToken, expiresAt, async (err, updatedUser) => {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const linkToken = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + PASSWORDLESS_CODE_TTL_MINUTES * 60 * 1000);
+
+        LoginCodeModel.create({
+          id: uuidv4(),
+          userId: user.id,
+          code,
+          linkToken,
+          expiresAt
+        }, async (err) => {
           if (err) {
-            console.error('Error saving reset token:', err);
+            console.error('Error saving login code:', err);
             return res.status(500).json({
               success: false,
               message: 'Internal server error'
@@ -343,260 +2584,395 @@ router.post('/forgot-password', [
           }
 
           try {
-            // Send password reset email
-            const nodemailer = require('nodemailer');
-            
-            const transporter = nodemailer.createTransport({
-              host: process.env.SMTP_HOST,
-              port: parseInt(process.env.SMTP_PORT),
-              secure: false,
-              auth: {
-                user: process.env.SMTP_USER,
-                pass: process.env.SMTP_PASS
-              }
+            const loginBaseUrl = process.env.PASSWORDLESS_LINK_URL ||
+              `${process.env.FRONTEND_URL || 'https://zipiq.com'}/passwordless-login`;
+
+            await MailerService.send('passwordless-login', email, {
+              username: user.username,
+              loginUrl: `${loginBaseUrl}?token=${linkToken}`,
+              code,
+              expiresInMinutes: PASSWORDLESS_CODE_TTL_MINUTES
             });
 
-            // Create reset URL (you'll need to update this with your actual frontend URL)
-            const resetUrl = `${process.env.FRONTEND_URL || 'https://zipiq.com'}/reset-password?token=${resetToken}`;
-
-            const emailOptions = {
-              from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
-              to: email,
-              subject: 'Reset Your zipIQ Password',
-              html: createPasswordResetEmailHTML(user.username || 'there', resetUrl, resetToken)
-            };
-
-            await transporter.sendMail(emailOptions);
-            
-            console.log(`✅ Password reset email sent to ${email}`);
+            console.log(`✅ Passwordless sign-in email queued for ${email}`);
+            AuditService.record(req, 'passwordless.request', 'success', {
+              userId: user.id,
+              email
+            });
             res.json(successResponse);
 
           } catch (emailError) {
-            console.error('Error sending password reset email:', emailError);
-            // Still return success to user for security
-            res.json(successResponse);
+            console.error('Error queueing passwordless sign-in email:', emailError);
+            res.status(500).json({
+              success: false,
+              message: 'Failed to send sign-in email, please try again'
+            });
           }
         });
+      });
+    });
+  });
+});
 
-      } catch (tokenError) {
-        console.error('Error generating reset token:', tokenError);
-        res.status(500).json({
-          success: false,
-          message: 'Internal server error'
+// POST /auth/passwordless/verify - Sign in with an emailed code ({ email, code }) or magic link ({ token })
+router.post('/passwordless/verify', [
+  body('email').optional().isEmail().normalizeEmail(),
+  body('code').optional().isString(),
+  body('token').optional().isString()
+], (req, res) => {
+  const errors = validationResult(req);
+  const { email, code, token } = req.body;
+
+  if (!errors.isEmpty() || !(token || (email && code))) {
+    return res.status(400).json(
+      formatAuthResponse(false, null, null, null, 'Email and code, or a sign-in link token, are required')
+    );
+  }
+
+  // Wrong codes count against the login throttles; link tokens are throttled per IP
+  const throttles = token ? passwordlessLinkThrottles(req) : loginThrottles(email, req);
+
+  // Unknown emails, wrong codes and used-up codes all look the same to the client
+  const rejectCode = (userId, reason) => {
+    AuditService.record(req, 'login', 'failure', {
+      userId,
+      email,
+      details: { method: token ? 'magic_link' : 'passwordless_code', reason }
+    });
+
+    recordThrottleFailures(throttles, (err) => {
+      if (err) console.error('Error recording failed passwordless attempt:', err);
+      res.status(401).json({
+        ...formatAuthResponse(false, null, null, null, 'Invalid or expired sign-in code'),
+        code: 'PASSWORDLESS_CODE_INVALID'
+      });
+    });
+  };
+
+  const signIn = (userId) => {
+    UserModel.findById(userId, (err, user) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json(
+          formatAuthResponse(false, null, null, null, 'Internal server error')
+        );
+      }
+
+      if (!user || user.passwordless_enabled === false) {
+        return rejectCode(userId, user ? 'disabled' : 'unknown_user');
+      }
+
+      // The emailed code replaces the password step only
+      if (user.two_factor_enabled) {
+        AuditService.record(req, 'login.two_factor_challenge', 'success', {
+          userId: user.id,
+          email: user.email,
+          details: { method: token ? 'magic_link' : 'passwordless_code' }
+        });
+
+        return res.json({
+          ...formatAuthResponse(false, null, null, null, 'Two-factor authentication required'),
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user.id)
         });
       }
+
+      if (!token) clearThrottle(throttles[0]);
+      completeLogin(req, res, user, token ? 'magic_link' : 'passwordless_code');
     });
+  };
 
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({
+  checkThrottles(throttles, (err, block) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json(
+        formatAuthResponse(false, null, null, null, 'Internal server error')
+      );
+    }
+
+    if (block) {
+      return sendThrottled(res, block, true);
+    }
+
+    if (token) {
+      return LoginCodeModel.consumeLinkToken(token, (err, userId) => {
+        if (err) {
+          console.error('Error consuming sign-in link:', err);
+          return res.status(500).json(
+            formatAuthResponse(false, null, null, null, 'Internal server error')
+          );
+        }
+
+        if (!userId) {
+          return rejectCode(null, 'invalid_link');
+        }
+
+        signIn(userId);
+      });
+    }
+
+    UserModel.findByEmail(email, (err, user) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json(
+          formatAuthResponse(false, null, null, null, 'Internal server error')
+        );
+      }
+
+      if (!user) {
+        return rejectCode(null, 'unknown_email');
+      }
+
+      LoginCodeModel.consumeCode(user.id, String(code).trim(), PASSWORDLESS_MAX_CODE_ATTEMPTS, (err, consumed, attemptsRemaining) => {
+        if (err) {
+          console.error('Error consuming sign-in code:', err);
+          return res.status(500).json(
+            formatAuthResponse(false, null, null, null, 'Internal server error')
+          );
+        }
+
+        if (!consumed) {
+          if (attemptsRemaining === 0) {
+            console.log(`⚠️ Passwordless sign-in code for ${email} has no attempts left`);
+          }
+          return rejectCode(user.id, attemptsRemaining === 0 ? 'attempts_exhausted' : 'invalid_code');
+        }
+
+        signIn(user.id);
+      });
+    });
+  });
+});
+
+// PUT /auth/passwordless - Opt in to or out of passwordless sign-in
+router.put('/passwordless', authenticateSession, [
+  body('enabled').isBoolean()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      message: 'Internal server error'
+      message: 'enabled must be true or false'
     });
   }
+
+  const enabled = req.body.enabled === true || req.body.enabled === 'true';
+
+  UserModel.setPasswordlessEnabled(req.user.id, enabled, (err, updated) => {
+    if (err || !updated) {
+      console.error('Error updating passwordless setting:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update passwordless sign-in setting'
+      });
+    }
+
+    console.log(`✅ Passwordless sign-in ${enabled ? 'enabled' : 'disabled'} for user ${req.user.id}`);
+    AuditService.record(req, enabled ? 'passwordless.enable' : 'passwordless.disable', 'success');
+
+    res.json({
+      success: true,
+      message: `Passwordless sign-in ${enabled ? 'enabled' : 'disabled'}`,
+      passwordlessEnabled: updated.passwordless_enabled
+    });
+  });
 });
 
-// POST /auth/reset-password - Reset password with token
-router.post('/reset-password', [
-  body('token').isLength({ min: 1 }),
-  body('password').isLength({ min: 8 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+// ==============================================
+// SIGN-IN WITH ETHEREUM (EIP-4361) ENDPOINTS
+// ==============================================
+
+// GET /auth/siwe/nonce - Issue a single-use nonce for a SIWE message
+router.get('/siwe/nonce', (req, res) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + SIWE_NONCE_TTL_MINUTES);
+
+  SiweNonceModel.create(nonce, expiresAt, (err) => {
+    if (err) {
+      console.error('Error creating SIWE nonce:', err);
+      return res.status(500).json({
         success: false,
-        message: 'Valid token and password (minimum 8 characters) are required'
+        message: 'Internal server error'
       });
     }
 
-    const { token, password } = req.body;
+    AuditService.record(req, 'siwe.nonce', 'success');
+
+    res.json({
+      success: true,
+      nonce,
+      expiresAt: expiresAt.toISOString()
+    });
+  });
+});
+
+// POST /auth/siwe/verify - Log in with a signed SIWE message (wallet must be linked)
+router.post('/siwe/verify', [
+  body('message').isString().isLength({ min: 1 }),
+  body('signature').isString().isLength({ min: 1 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(
+      formatAuthResponse(false, null, null, null, 'Signed message and signature are required')
+    );
+  }
+
+  verifySiweRequest(req, (err, siweMessage) => {
+    if (err) return sendSiweError(res, err, 'login');
 
-    // Find user by reset token
-    UserModel.findByResetToken(token, async (err, user) => {
+    UserModel.findByWalletAddress(siweMessage.address, (err, user) => {
       if (err) {
-        console.error('Database error in reset password:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Internal server error'
-        });
+        console.error('Database error:', err);
+        return res.status(500).json(
+          formatAuthResponse(false, null, null, null, 'Internal server error')
+        );
       }
 
       if (!user) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid or expired reset token'
+        AuditService.record(req, 'login', 'failure', {
+          details: { method: 'siwe', reason: 'wallet_not_linked', walletAddress: siweMessage.address }
         });
-      }
-
-      try {
-        // Hash new password
-        const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-        const newPasswordHash = await bcrypt.hash(password, saltRounds);
-
-        // Update password and clear reset token
-        UserModel.updatePasswordWithToken(token, newPasswordHash, (err, updatedUser) => {
-          if (err) {
-            console.error('Error updating password:', err);
-            return res.status(500).json({
-              success: false,
-              message: 'Internal server error'
-            });
-          }
 
-          if (!updatedUser) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid or expired reset token'
-            });
-          }
+        return res.status(401).json({
+          ...formatAuthResponse(false, null, null, null, 'No account is linked to this wallet'),
+          code: 'WALLET_NOT_LINKED'
+        });
+      }
 
-          console.log(`✅ Password successfully reset for user: ${updatedUser.email}`);
-          
-          res.json({
-            success: true,
-            message: 'Password has been reset successfully. You can now log in with your new password.'
-          });
+      // The wallet signature replaces the password step only
+      if (user.two_factor_enabled) {
+        AuditService.record(req, 'login.two_factor_challenge', 'success', {
+          userId: user.id,
+          email: user.email,
+          details: { method: 'siwe' }
         });
 
-      } catch (hashError) {
-        console.error('Error hashing new password:', hashError);
-        res.status(500).json({
-          success: false,
-          message: 'Internal server error'
+        return res.json({
+          ...formatAuthResponse(false, null, null, null, 'Two-factor authentication required'),
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user.id)
         });
       }
-    });
 
-  } catch (error) {
-    console.error('Reset password error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
+      completeLogin(req, res, user, 'siwe');
     });
-  }
+  });
 });
 
-// GET /auth/validate-reset-token/:token - Validate reset token
-router.get('/validate-reset-token/:token', (req, res) => {
-  const { token } = req.params;
-
-  if (!token) {
+// POST /auth/wallet/link - Link a wallet to the current account by signing a SIWE message
+router.post('/wallet/link', authenticateSession, [
+  body('message').isString().isLength({ min: 1 }),
+  body('signature').isString().isLength({ min: 1 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      message: 'Reset token is required'
+      message: 'Signed message and signature are required'
     });
   }
 
-  UserModel.findByResetToken(token, (err, user) => {
+  verifySiweRequest(req, (err, siweMessage) => {
+    if (err) return sendSiweError(res, err, 'wallet.link');
+
+    UserModel.findByWalletAddress(siweMessage.address, (err, existingUser) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Internal server error'
+        });
+      }
+
+      if (existingUser && existingUser.id !== req.user.id) {
+        AuditService.record(req, 'wallet.link', 'failure', {
+          details: { method: 'siwe', reason: 'already_linked', walletAddress: siweMessage.address }
+        });
+
+        return res.status(409).json({
+          success: false,
+          message: 'This wallet is already linked to another account',
+          code: 'WALLET_ALREADY_LINKED'
+        });
+      }
+
+      UserModel.setWalletAddress(req.user.id, siweMessage.address, (err) => {
+        if (err) {
+          console.error('Error linking wallet:', err);
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to link wallet'
+          });
+        }
+
+        console.log(`🔗 Wallet ${siweMessage.address} linked to user ${req.user.id}`);
+        AuditService.record(req, 'wallet.link', 'success', {
+          details: { walletAddress: siweMessage.address }
+        });
+
+        res.json({
+          success: true,
+          message: 'Wallet linked successfully',
+          walletAddress: siweMessage.address
+        });
+      });
+    });
+  });
+});
+
+// DELETE /auth/wallet - Unlink the wallet from the current account
+router.delete('/wallet', authenticateSession, (req, res) => {
+  UserModel.setWalletAddress(req.user.id, null, (err) => {
     if (err) {
-      console.error('Database error in validate token:', err);
+      console.error('Error unlinking wallet:', err);
       return res.status(500).json({
         success: false,
-        message: 'Internal server error'
+        message: 'Failed to unlink wallet'
       });
     }
 
-    if (!user) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired reset token'
-      });
-    }
+    AuditService.record(req, 'wallet.unlink', 'success');
 
     res.json({
       success: true,
-      message: 'Reset token is valid',
-      data: {
-        email: user.email,
-        expiresAt: user.reset_password_expires
-      }
+      message: 'Wallet unlinked successfully'
     });
   });
 });
 
 // ==============================================
-// EMAIL TEMPLATE FUNCTION
+// SECURITY LOG ENDPOINTS
 // ==============================================
 
-// Update your email template function in routes/auth.js
-// Replace the existing createPasswordResetEmailHTML function with this:
+// GET /auth/security-events - The current user's sign-ins and account changes, newest first
+router.get('/security-events', authenticateSession, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-function createPasswordResetEmailHTML(username, resetUrl, token) {
-  // Extract just the token from the URL for mobile-friendly display
-  const displayToken = token;
-  
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <h1 style="color: #333; margin-bottom: 10px;">Reset Your zipIQ Password</h1>
-        <p style="color: #666; font-size: 16px;">We received a request to reset your password</p>
-      </div>
-      
-      <div style="background-color: #f9f9f9; padding: 30px; border-radius: 10px; margin-bottom: 30px;">
-        <p style="color: #333; font-size: 16px; margin-bottom: 20px;">Hi ${username},</p>
-        <p style="color: #333; font-size: 16px; margin-bottom: 20px;">
-          Someone requested a password reset for your zipIQ account. Use the reset code below in the zipIQ mobile app:
-        </p>
-        
-        <!-- Mobile-Friendly Reset Code -->
-        <div style="background-color: #f0f8ff; border: 2px solid #007bff; border-radius: 8px; padding: 20px; margin: 30px 0; text-align: center;">
-          <p style="color: #333; font-size: 14px; font-weight: bold; margin-bottom: 10px;">RESET CODE:</p>
-          <div style="background-color: white; padding: 15px; border-radius: 5px; border: 1px solid #ddd;">
-            <span style="font-family: 'Courier New', monospace; font-size: 18px; font-weight: bold; color: #007bff; letter-spacing: 2px;">
-              ${displayToken}
-            </span>
-          </div>
-          <p style="color: #666; font-size: 12px; margin-top: 10px;">
-            📱 <strong>Mobile users:</strong> Tap and hold to copy this code, then paste it in the zipIQ app
-          </p>
-        </div>
-        
-        <!-- Instructions for Mobile App -->
-        <div style="background-color: #e8f5e8; border-left: 4px solid #28a745; padding: 15px; margin: 20px 0;">
-          <h3 style="color: #28a745; margin-top: 0;">How to reset your password:</h3>
-          <ol style="color: #333; font-size: 14px; margin-bottom: 0;">
-            <li>Open the zipIQ mobile app</li>
-            <li>Tap "Forgot Password?" on the login screen</li>
-            <li>Tap "Enter Reset Token Manually"</li>
-            <li>Copy and paste the reset code above</li>
-            <li>Enter your new password</li>
-          </ol>
-        </div>
-        
-        <!-- Web Option (for future use) -->
-        <div style="text-align: center; margin: 30px 0;">
-          <p style="color: #666; font-size: 14px; margin-bottom: 15px;">
-            Or reset your password on the web:
-          </p>
-          <a href="${resetUrl}" 
-             style="background-color: #007bff; color: white; padding: 12px 25px; 
-                    text-decoration: none; border-radius: 5px; font-size: 14px; 
-                    font-weight: bold; display: inline-block;">
-            Reset Password Online
-          </a>
-        </div>
-        
-        <div style="border-top: 1px solid #ddd; padding-top: 20px; margin-top: 20px;">
-          <p style="color: #d9534f; font-size: 14px; font-weight: bold; margin-bottom: 10px;">
-            ⚠️ This reset code will expire in 1 hour
-          </p>
-          <p style="color: #666; font-size: 14px;">
-            If you didn't request this password reset, please ignore this email. 
-            Your password will remain unchanged.
-          </p>
-        </div>
-      </div>
-      
-      <div style="text-align: center; color: #999; font-size: 12px; border-top: 1px solid #eee; padding-top: 20px;">
-        <p>This email was sent by zipIQ Security System</p>
-        <p>If you have questions, contact support at support@zipiq.com</p>
-      </div>
-    </div>
-  `;
-}
-
-// Health check endpoint
+  SecurityEventModel.find({ userId: req.user.id, eventType: req.query.eventType }, limit, offset, (err, events, total) => {
+    if (err) {
+      console.error('Error retrieving security events:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve security events'
+      });
+    }
+
+    AuditService.record(req, 'security_event.list', 'success', {
+      details: { eventType: req.query.eventType, limit, offset }
+    });
+
+    res.json({
+      success: true,
+      events: events.map(event => AuditService.formatEvent(event)),
+      pagination: { limit, offset, total }
+    });
+  });
+});
+
+// Health check endpoint (not audited: it's polled by the platform)
 router.get('/health', (req, res) => {
   res.json({
     status: 'OK',
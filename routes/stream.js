@@ -1,12 +1,302 @@
 const express = require('express');
+const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
+const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireVerified, requireScope } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { UserModel, StreamModel, ChunkModel, StreamExportModel } = require('../models/user');
 const IPFSService = require('../services/ipfs');
 const ArweaveService = require('../services/arweave');
+const StreamLifecycleService = require('../services/streamLifecycle');
+const StreamMetadataService = require('../services/streamMetadata');
+const StreamExportService = require('../services/streamExport');
+const KeyRingService = require('../services/keyring');
+const { renderMediaPlaylist } = require('../services/hlsPlaylist');
+const { detectImageType } = require('../services/imageType');
 
 const router = express.Router();
 
+// HLS segments are served by this API ('api') or straight from the IPFS gateway ('ipfs')
+const HLS_SEGMENT_SOURCE = process.env.HLS_SEGMENT_SOURCE || 'api';
+const HLS_LIVE_WINDOW_SEGMENTS = parseInt(process.env.HLS_LIVE_WINDOW_SEGMENTS) || 6;
+const IPFS_GATEWAY_URL = (process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs').replace(/\/$/, '');
+
+// Upload bounds: about 11 days of 1s chunks, and chunk timestamps (ms) at most an hour ahead of our clock
+const MAX_CHUNK_INDEX = 1000000;
+const MAX_CHUNK_CLOCK_SKEW_MS = 60 * 60 * 1000;
+
+// Stream tags: lowercase letters, digits and dashes
+const MAX_STREAM_TAGS = 10;
+const STREAM_TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// Editable stream metadata limits
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_CATEGORY_LENGTH = 50;
+
+// Discovery feed: page size and how far back "recently ended" goes
+const DISCOVER_DEFAULT_LIMIT = 20;
+const DISCOVER_MAX_LIMIT = 50;
+const RECENTLY_ENDED_DAYS = parseInt(process.env.RECENTLY_ENDED_DAYS) || 7;
+
+// Lifetime of signed playback tokens for private streams
+const PLAYBACK_TOKEN_TTL = process.env.PLAYBACK_TOKEN_EXPIRES_IN || '1h';
+
+const createStream = promisify(StreamModel.create);
+const findStream = promisify(StreamModel.findById);
+const findMetadataVersions = promisify(StreamModel.findMetadataVersions);
+const createExport = promisify(StreamExportModel.create);
+const findExport = promisify(StreamExportModel.findById);
+const findReusableExport = promisify(StreamExportModel.findReusable);
+const findUserStreams = promisify(StreamModel.findByUserId);
+const discoverStreams = promisify(StreamModel.discover);
+const createChunk = promisify(ChunkModel.create);
+const findStreamChunks = promisify(ChunkModel.findByStreamId);
+const findChunk = promisify(ChunkModel.findByIndex);
+const findUserByUsername = promisify(UserModel.findByUsername);
+const addCohost = promisify(StreamModel.addCohost);
+const removeCohost = promisify(StreamModel.removeCohost);
+const findCohosts = promisify(StreamModel.findCohosts);
+const isCohost = promisify(StreamModel.isCohost);
+const addViewer = promisify(StreamModel.addViewer);
+const removeViewer = promisify(StreamModel.removeViewer);
+const findViewers = promisify(StreamModel.findViewers);
+const isViewer = promisify(StreamModel.isViewer);
+
+// Helper function to format a stream row for API responses
+const formatStream = (req, stream) => ({
+  id: stream.id,
+  title: stream.title,
+  description: stream.description,
+  isPrivate: !!stream.is_private,
+  metadataHash: stream.metadata_hash,
+  metadataVersion: stream.metadata_version,
+  createdAt: stream.created_at,
+  chunkCount: stream.chunk_count,
+  totalSize: parseInt(stream.total_size),
+  status: stream.status,
+  scheduledFor: stream.scheduled_for,
+  startedAt: stream.started_at,
+  endedAt: stream.ended_at,
+  archivedAt: stream.archived_at,
+  tags: stream.tags || [],
+  category: stream.category || null,
+  thumbnailHash: stream.thumbnail_hash || null,
+  thumbnailUrl: stream.thumbnail_hash ? `${req.baseUrl}/${stream.id}/thumbnail` : null,
+  duration: stream.duration_ms ? parseInt(stream.duration_ms) / 1000 : null
+});
+
+// Normalize tags given as an array or a comma-separated string. Returns null if any tag is invalid.
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  if (list.some(tag => typeof tag !== 'string')) return null;
+
+  const normalized = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_STREAM_TAGS || !normalized.every(tag => STREAM_TAG_PATTERN.test(tag))) {
+    return null;
+  }
+  return normalized;
+};
+
+const TAGS_ERROR_MESSAGE = `tags must be at most ${MAX_STREAM_TAGS} tags of up to 32 lowercase letters, digits and dashes`;
+
+// Discovery cursors are opaque to clients: base64url JSON of the last stream's sort key
+const encodeCursor = (stream) => Buffer.from(JSON.stringify({
+  createdAt: stream.cursor_created_at,
+  id: stream.id
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return typeof createdAt === 'string' && !isNaN(Date.parse(createdAt)) && typeof id === 'string'
+      ? { createdAt, id }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Load a stream that can be read (deleted streams look the same as missing ones)
+const findReadableStream = async (streamId) => {
+  const stream = await findStream(streamId);
+  return stream && stream.status !== 'deleted' ? stream : null;
+};
+
+const sendStreamNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Stream not found',
+  code: 'STREAM_NOT_FOUND'
+});
+
+// Load one of the user's own streams (other users' streams look the same as missing ones)
+const findOwnStream = async (streamId, user) => {
+  const stream = await findReadableStream(streamId);
+  return stream && stream.user_id === user.id ? stream : null;
+};
+
+const sendOwnStreamNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Stream not found or access denied',
+  code: 'STREAM_NOT_FOUND'
+});
+
+// Chunks can be uploaded by the stream's owner and its co-hosts
+const canUploadToStream = async (stream, user) => stream.user_id === user.id || isCohost(stream.id, user.id);
+
+// Helper function to format the response for a stored chunk upload
+const formatChunkUpload = (chunk) => ({
+  success: true,
+  ipfsHash: chunk.ipfs_hash,
+  size: parseInt(chunk.size),
+  sha256: chunk.sha256,
+  arweaveQueued: true,
+  chunkIndex: chunk.chunk_index,
+  uploadTime: chunk.uploaded_at
+});
+
+// Helper function to respond to an upload for an index that already has a chunk: the same
+// bytes get the original result back, different bytes are rejected
+const sendExistingChunk = (res, chunk, sha256) => {
+  if (chunk.sha256 !== sha256) {
+    return res.status(409).json({
+      success: false,
+      message: `Chunk ${chunk.chunk_index} was already uploaded with different content`,
+      code: 'CHUNK_CONFLICT'
+    });
+  }
+
+  res.json(formatChunkUpload(chunk));
+};
+
+// Private streams can be watched by their owner, co-hosts and allowlisted viewers
+const canWatchPrivateStream = async (stream, userId) => (
+  stream.user_id === userId || await isViewer(stream.id, userId) || await isCohost(stream.id, userId)
+);
+
+// Helper function to issue a short-lived token that lets a player read one stream without
+// an Authorization header (it goes in the ?token= query parameter)
+const generatePlaybackToken = (userId, streamId) => {
+  return KeyRingService.sign(
+    { userId, streamId, type: 'playback' },
+    { expiresIn: PLAYBACK_TOKEN_TTL }
+  );
+};
+
+// The user a request's playback token was issued to, if it is valid for this stream
+const findPlaybackTokenUser = (req, streamId) => {
+  if (typeof req.query.token !== 'string') return null;
+
+  try {
+    const decoded = KeyRingService.verifySync(req.query.token);
+    return decoded.type === 'playback' && decoded.streamId === streamId ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Load a stream the request may read: public streams, or private ones the caller (signed in
+// with the stream:read scope, or holding a playback token) can watch. Streams the caller
+// can't see look the same as missing ones. Access is rechecked on every request, so removing
+// a viewer also cuts off their playback tokens.
+const findViewableStream = async (req) => {
+  const stream = await findReadableStream(req.params.streamId);
+  if (!stream || !stream.is_private) return stream;
+
+  const user = req.user;
+  if (user && (!user.scopes || user.scopes.includes('stream:read')) && await canWatchPrivateStream(stream, user.id)) {
+    return stream;
+  }
+
+  const playbackUserId = findPlaybackTokenUser(req, stream.id);
+  if (playbackUserId && await canWatchPrivateStream(stream, playbackUserId)) {
+    return stream;
+  }
+
+  return null;
+};
+
+// Helper function to send a body with single byte-range support (206/416). Content-Type,
+// ETag and caching headers are set by the caller; multiple ranges get the whole body.
+const sendContent = (req, res, data) => {
+  res.set('Accept-Ranges', 'bytes');
+
+  // If-Range with an old ETag means the client's partial copy is stale
+  const ifRange = req.get('If-Range');
+  const range = req.get('Range') && (!ifRange || ifRange === res.get('ETag'))
+    ? req.range(data.length, { combine: true })
+    : undefined;
+
+  if (range === -1) {
+    res.set('Content-Range', `bytes */${data.length}`);
+    return res.status(416).end();
+  }
+
+  if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+    const { start, end } = range[0];
+    res.set('Content-Range', `bytes ${start}-${end}/${data.length}`);
+    return res.status(206).send(data.subarray(start, end + 1));
+  }
+
+  res.send(data);
+};
+
+// Helper function to format an export job for API responses
+const formatExport = (req, job) => ({
+  id: job.id,
+  streamId: job.stream_id,
+  requestedFormat: job.requested_format,
+  format: job.format,
+  status: job.status,
+  storePermanently: !!job.store_permanently,
+  size: job.size !== null ? parseInt(job.size) : null,
+  chunkCount: job.chunk_count,
+  ipfsHash: job.ipfs_hash,
+  arweaveTxId: job.arweave_tx_id,
+  error: job.error,
+  createdAt: job.created_at,
+  completedAt: job.completed_at,
+  downloadUrl: job.status === 'completed' ? `${req.baseUrl}/${job.stream_id}/exports/${job.id}/download` : null
+});
+
+// Load an export job of a stream the request may read
+const findViewableExport = async (req) => {
+  const stream = await findViewableStream(req);
+  if (!stream) return { stream: null, job: null };
+
+  const job = await findExport(req.params.exportId);
+  return { stream, job: job && job.stream_id === stream.id ? job : null };
+};
+
+const sendExportNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Export not found'
+});
+
+// Helper function to respond to a rejected lifecycle transition
+const sendTransitionError = (res, error, stream) => {
+  if (error.code === 'INVALID_STREAM_TRANSITION' || error.code === 'STREAM_STATUS_CONFLICT') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      currentStatus: stream.status
+    });
+  }
+
+  throw error;
+};
+
+// Require a verified email for publishing when REQUIRE_EMAIL_VERIFICATION=true
+const requireVerifiedIfEnabled = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true') {
+    return requireVerified(req, res, next);
+  }
+  next();
+};
+
 // Configure multer for video chunk uploads
 const storage = multer.memoryStorage();
 const upload = multer({ 
@@ -16,11 +306,19 @@ const upload = multer({
   }
 });
 
+// Configure multer for stream thumbnail uploads
+const thumbnailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max thumbnail size
+  }
+});
+
 // POST /stream/upload-chunk - Upload video chunk to IPFS + queue for Arweave
-router.post('/upload-chunk', authenticateToken, upload.single('chunk'), async (req, res) => {
+router.post('/upload-chunk', authenticateToken, requireScope('stream:write'), requireVerifiedIfEnabled, upload.single('chunk'), idempotent, async (req, res) => {
   try {
     const { buffer, mimetype, originalname } = req.file || {};
-    const { streamId, chunkIndex, timestamp } = req.body;
+    const { streamId, chunkIndex, timestamp, duration, sha256: expectedSha256 } = req.body;
 
     if (!buffer) {
       return res.status(400).json({
@@ -36,36 +334,124 @@ router.post('/upload-chunk', authenticateToken, upload.single('chunk'), async (r
       });
     }
 
-    console.log(`📦 Processing chunk ${chunkIndex} for stream ${streamId}`);
+    const index = /^\d+$/.test(String(chunkIndex)) ? parseInt(chunkIndex) : -1;
+    if (index < 0 || index > MAX_CHUNK_INDEX) {
+      return res.status(400).json({
+        success: false,
+        message: `chunkIndex must be an integer between 0 and ${MAX_CHUNK_INDEX}`,
+        code: 'INVALID_CHUNK_INDEX'
+      });
+    }
+
+    // Timestamp of the chunk in milliseconds
+    const chunkTimestamp = /^\d+$/.test(String(timestamp)) ? parseInt(timestamp) : -1;
+    if (chunkTimestamp < 0 || chunkTimestamp > Date.now() + MAX_CHUNK_CLOCK_SKEW_MS) {
+      return res.status(400).json({
+        success: false,
+        message: 'timestamp must be a non-negative integer number of milliseconds, not in the future',
+        code: 'INVALID_TIMESTAMP'
+      });
+    }
+
+    // Optional playback duration in seconds, as reported by the encoder
+    const durationSeconds = duration !== undefined ? parseFloat(duration) : null;
+    if (durationSeconds !== null && !(durationSeconds > 0 && durationSeconds <= 60)) {
+      return res.status(400).json({
+        success: false,
+        message: 'duration must be a number of seconds between 0 and 60'
+      });
+    }
+
+    // Clients send a SHA-256 of the chunk (hex). Older clients without one are only accepted
+    // when ALLOW_CHUNKS_WITHOUT_CHECKSUM=true.
+    if (expectedSha256 === undefined && process.env.ALLOW_CHUNKS_WITHOUT_CHECKSUM !== 'true') {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: sha256',
+        code: 'CHECKSUM_REQUIRED'
+      });
+    }
+
+    // Verify it against the bytes we received
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    if (expectedSha256 !== undefined && String(expectedSha256).toLowerCase() !== sha256) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk checksum does not match the uploaded data',
+        code: 'CHECKSUM_MISMATCH'
+      });
+    }
+
+    const stream = await findReadableStream(streamId);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+
+    if (!(await canUploadToStream(stream, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to upload chunks to this stream',
+        code: 'STREAM_FORBIDDEN'
+      });
+    }
+
+    // Retries of a stored chunk are answered before the status check, so they still
+    // succeed if the stream ended in the meantime
+    const existing = await findChunk(streamId, index);
+    if (existing) {
+      return sendExistingChunk(res, existing, sha256);
+    }
+
+    if (!StreamLifecycleService.canUpload(stream)) {
+      return res.status(409).json({
+        success: false,
+        message: `Chunks can't be added to a stream that has ${stream.status === 'archived' ? 'been archived' : 'ended'}`,
+        code: 'STREAM_NOT_UPLOADABLE',
+        currentStatus: stream.status
+      });
+    }
+
+    console.log(`📦 Processing chunk ${index} for stream ${streamId}`);
 
     // Upload to IPFS
     const ipfsResult = await IPFSService.uploadChunk(buffer, {
       streamId,
-      chunkIndex: parseInt(chunkIndex),
-      timestamp: parseInt(timestamp),
+      chunkIndex: index,
+      timestamp: chunkTimestamp,
       userId: req.user.id,
       mimetype: mimetype || 'video/quicktime',
-      originalname: originalname || `chunk_${chunkIndex}.mov`
+      originalname: originalname || `chunk_${index}.mov`
+    });
+
+    const chunk = await createChunk({
+      id: uuidv4(),
+      streamId,
+      chunkIndex: index,
+      ipfsHash: ipfsResult.hash,
+      size: buffer.length,
+      timestamp: chunkTimestamp,
+      mimetype: mimetype || 'video/quicktime',
+      durationMs: durationSeconds !== null ? Math.round(durationSeconds * 1000) : null,
+      sha256
     });
 
+    // A concurrent retry stored this index first
+    if (!chunk) {
+      return sendExistingChunk(res, await findChunk(streamId, index), sha256);
+    }
+
     // Queue for Arweave archival
     await ArweaveService.queueForArchival({
+      chunkId: chunk.id,
       data: buffer,
       ipfsHash: ipfsResult.hash,
       streamId,
-      chunkIndex: parseInt(chunkIndex),
-      timestamp: parseInt(timestamp),
+      chunkIndex: index,
+      timestamp: chunkTimestamp,
       userId: req.user.id
     });
 
-    res.json({
-      success: true,
-      ipfsHash: ipfsResult.hash,
-      size: buffer.length,
-      arweaveQueued: true,
-      chunkIndex: parseInt(chunkIndex),
-      uploadTime: new Date().toISOString()
-    });
+    res.json(formatChunkUpload(chunk));
 
   } catch (error) {
     console.error('❌ Chunk upload error:', error);
@@ -78,22 +464,29 @@ router.post('/upload-chunk', authenticateToken, upload.single('chunk'), async (r
 });
 
 // GET /stream/:streamId/chunks - Get list of chunks for a stream
-router.get('/:streamId/chunks', async (req, res) => {
+router.get('/:streamId/chunks', optionalAuth, async (req, res) => {
   try {
     const { streamId } = req.params;
     
-    // Get chunks from IPFS service
-    const chunks = await IPFSService.getStreamChunks(streamId);
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    const chunks = await findStreamChunks(streamId);
     
     res.json({
       success: true,
       streamId,
       chunks: chunks.map(chunk => ({
-        chunkIndex: chunk.chunkIndex,
-        ipfsHash: chunk.ipfsHash,
-        timestamp: chunk.timestamp,
-        size: chunk.size,
-        arweaveStatus: chunk.arweaveStatus || 'pending'
+        chunkIndex: chunk.chunk_index,
+        ipfsHash: chunk.ipfs_hash,
+        timestamp: parseInt(chunk.timestamp),
+        size: parseInt(chunk.size),
+        sha256: chunk.sha256 || null,
+        duration: chunk.duration_ms ? chunk.duration_ms / 1000 : null,
+        arweaveStatus: chunk.arweave_tx_id ? 'archived' : 'pending',
+        arweaveTxId: chunk.arweave_tx_id || null
       }))
     });
 
@@ -106,31 +499,191 @@ router.get('/:streamId/chunks', async (req, res) => {
   }
 });
 
+// GET /stream/:streamId/thumbnail - The stream's thumbnail (revalidated through its ETag)
+router.get('/:streamId/thumbnail', optionalAuth, async (req, res) => {
+  try {
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    if (!stream.thumbnail_hash) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+    
+    // The URL stays the same when the thumbnail changes, so clients revalidate every time
+    res.set({
+      'ETag': `"${stream.thumbnail_hash}"`,
+      'Cache-Control': stream.is_private ? 'private, no-cache' : 'no-cache'
+    });
+    
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    const content = await IPFSService.getContent(stream.thumbnail_hash);
+    if (!content) {
+      res.removeHeader('ETag');
+      return res.status(503).json({
+        success: false,
+        message: 'Thumbnail is not available from storage'
+      });
+    }
+    
+    res.type(content.mimetype).send(content.data);
+
+  } catch (error) {
+    console.error('❌ Error serving thumbnail:', error);
+    res.removeHeader('ETag');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve thumbnail'
+    });
+  }
+});
+
+// GET /stream/:streamId/chunks/:chunkIndex - Chunk bytes (supports Range requests and ETag revalidation)
+router.get('/:streamId/chunks/:chunkIndex', optionalAuth, async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    const chunk = /^\d+$/.test(req.params.chunkIndex)
+      ? await findChunk(streamId, parseInt(req.params.chunkIndex))
+      : null;
+    if (!chunk) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chunk not found'
+      });
+    }
+    
+    // The content hash identifies the bytes, so the response never changes for this ETag
+    const cacheControl = stream.is_private ? 'private, max-age=3600' : 'public, max-age=31536000, immutable';
+    res.set('ETag', `"${chunk.ipfs_hash}"`);
+    
+    if (req.fresh) {
+      res.set('Cache-Control', cacheControl);
+      return res.status(304).end();
+    }
+    
+    // Read from IPFS, falling back to the Arweave copy
+    const content = await IPFSService.getContent(chunk.ipfs_hash);
+    let data = content && content.data;
+    
+    if (!data && chunk.arweave_tx_id) {
+      data = Buffer.from(await ArweaveService.getTransactionData(chunk.arweave_tx_id));
+    }
+    
+    if (!data) {
+      res.removeHeader('ETag');
+      return res.status(503).json({
+        success: false,
+        message: 'Chunk content is not available from storage',
+        code: 'CHUNK_CONTENT_UNAVAILABLE'
+      });
+    }
+    
+    res.set({
+      'Content-Type': chunk.mimetype || 'application/octet-stream',
+      'Cache-Control': cacheControl
+    });
+    sendContent(req, res, data);
+
+  } catch (error) {
+    console.error('❌ Error serving chunk:', error);
+    res.removeHeader('ETag');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve chunk'
+    });
+  }
+});
+
+// GET /stream/:streamId/playlist.m3u8 - HLS media playlist (live sliding window until the stream ends)
+router.get('/:streamId/playlist.m3u8', optionalAuth, async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    const chunks = await findStreamChunks(streamId);
+    const live = !['ended', 'archived'].includes(stream.status);
+    
+    // Relative URIs resolve against this playlist's URL to GET /stream/:streamId/chunks/:chunkIndex.
+    // Private streams are always served through the API, passing the playback token along.
+    const tokenQuery = stream.is_private && typeof req.query.token === 'string'
+      ? `?token=${encodeURIComponent(req.query.token)}`
+      : '';
+    const segmentUri = HLS_SEGMENT_SOURCE === 'ipfs' && !stream.is_private
+      ? (chunk) => `${IPFS_GATEWAY_URL}/${chunk.ipfs_hash}`
+      : (chunk) => `chunks/${chunk.chunk_index}${tokenQuery}`;
+    
+    const playlist = renderMediaPlaylist(chunks, {
+      live,
+      windowSize: HLS_LIVE_WINDOW_SEGMENTS,
+      segmentUri
+    });
+    
+    res.set('Content-Type', 'application/vnd.apple.mpegurl');
+    res.set('Cache-Control', live ? 'no-cache' : `${stream.is_private ? 'private' : 'public'}, max-age=300`);
+    res.send(playlist);
+
+  } catch (error) {
+    console.error('❌ Error rendering playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render playlist'
+    });
+  }
+});
+
 // GET /stream/:streamId/status - Get stream status
-router.get('/:streamId/status', async (req, res) => {
+router.get('/:streamId/status', optionalAuth, async (req, res) => {
   try {
     const { streamId } = req.params;
     
-    // Get stream metadata
-    const chunks = await IPFSService.getStreamChunks(streamId);
-    const arweaveStatus = await ArweaveService.getStreamStatus(streamId);
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    const chunks = await findStreamChunks(streamId);
+    const timestamps = chunks.map(chunk => parseInt(chunk.timestamp));
+    const archived = chunks.filter(chunk => chunk.arweave_tx_id);
     
     const totalChunks = chunks.length;
-    const archivedChunks = arweaveStatus.archivedCount || 0;
-    const totalSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+    const archivedChunks = archived.length;
+    const totalSize = chunks.reduce((sum, chunk) => sum + parseInt(chunk.size), 0);
     
     res.json({
       success: true,
       streamId,
       status: {
+        streamStatus: stream.status,
         totalChunks,
         archivedChunks,
         archivalProgress: totalChunks > 0 ? (archivedChunks / totalChunks) : 0,
         totalSize,
-        startTime: chunks.length > 0 ? Math.min(...chunks.map(c => c.timestamp)) : null,
-        lastUpdate: chunks.length > 0 ? Math.max(...chunks.map(c => c.timestamp)) : null,
-        ipfsNodes: chunks.length,
-        arweaveTransactions: arweaveStatus.transactions || []
+        startTime: totalChunks > 0 ? Math.min(...timestamps) : null,
+        lastUpdate: totalChunks > 0 ? Math.max(...timestamps) : null,
+        ipfsNodes: totalChunks,
+        arweaveTransactions: archived.map(chunk => ({
+          id: chunk.arweave_tx_id,
+          chunkIndex: chunk.chunk_index,
+          archivedAt: chunk.archived_at,
+          size: parseInt(chunk.size)
+        }))
       }
     });
 
@@ -144,38 +697,50 @@ router.get('/:streamId/status', async (req, res) => {
 });
 
 // POST /stream/create - Create new stream
-router.post('/create', authenticateToken, async (req, res) => {
+router.post('/create', authenticateToken, requireScope('stream:write'), requireVerifiedIfEnabled, idempotent, async (req, res) => {
   try {
     const streamId = uuidv4();
-    const { title, description, isPrivate = false } = req.body;
+    const { title, description, isPrivate = false, scheduledFor } = req.body;
+    const tags = req.body.tags !== undefined ? normalizeTags(req.body.tags) : [];
+    
+    if (!tags) {
+      return res.status(400).json({
+        success: false,
+        message: TAGS_ERROR_MESSAGE
+      });
+    }
+    
+    // Streams created with a future start time begin as 'scheduled'
+    if (scheduledFor !== undefined && (isNaN(Date.parse(scheduledFor)) || new Date(scheduledFor) <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduledFor must be an ISO 8601 timestamp in the future'
+      });
+    }
     
-    // Create stream metadata
-    const streamMetadata = {
+    let stream = await createStream({
       id: streamId,
       userId: req.user.id,
       title: title || `Stream ${streamId.slice(0, 8)}`,
       description: description || '',
       isPrivate,
-      createdAt: new Date().toISOString(),
-      status: 'created',
-      chunks: []
-    };
-
-    // Store metadata in IPFS
-    const metadataHash = await IPFSService.uploadJSON(streamMetadata);
+      metadataHash: null,
+      scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
+      tags
+    });
     
     console.log(`📺 Created new stream: ${streamId}`);
     
+    // Publish the first metadata version to IPFS (a failure leaves the stream without metadata until its next change)
+    try {
+      stream = await StreamMetadataService.publish(stream, { change: 'create' });
+    } catch (error) {
+      console.error(`❌ Failed to publish metadata for stream ${streamId}:`, error);
+    }
+    
     res.json({
       success: true,
-      stream: {
-        id: streamId,
-        title: streamMetadata.title,
-        description: streamMetadata.description,
-        metadataHash,
-        createdAt: streamMetadata.createdAt,
-        status: 'created'
-      }
+      stream: formatStream(req, stream)
     });
 
   } catch (error) {
@@ -187,76 +752,741 @@ router.post('/create', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /stream/user/:userId - Get user's streams
-router.get('/user/:userId', authenticateToken, async (req, res) => {
+// GET /stream/discover - Public streams, newest first
+// Query: status ('live' or 'recent'), creator (username), tags (comma-separated, all must match),
+// q (full-text search over title and description), limit, cursor (nextCursor from the previous page)
+router.get('/discover', async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { status, creator, q, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DISCOVER_DEFAULT_LIMIT, 1), DISCOVER_MAX_LIMIT);
     
-    // Only allow users to see their own streams (for now)
-    if (req.user.id !== userId) {
-      return res.status(403).json({
+    if (status !== undefined && !['live', 'recent'].includes(status)) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: "status must be 'live' or 'recent'"
+      });
+    }
+    
+    const tags = req.query.tags !== undefined ? normalizeTags(req.query.tags) : [];
+    if (!tags) {
+      return res.status(400).json({
+        success: false,
+        message: TAGS_ERROR_MESSAGE
+      });
+    }
+    
+    const after = cursor !== undefined ? decodeCursor(String(cursor)) : null;
+    if (cursor !== undefined && !after) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+        code: 'INVALID_CURSOR'
       });
     }
     
-    // Get user's streams from IPFS
-    const streams = await IPFSService.getUserStreams(userId);
+    // Fetch one extra stream to tell whether there is another page
+    const streams = await discoverStreams({
+      status,
+      recentDays: RECENTLY_ENDED_DAYS,
+      creator: typeof creator === 'string' ? creator.trim() : undefined,
+      tags,
+      search: typeof q === 'string' ? q.trim() : undefined
+    }, limit + 1, after);
+    
+    const page = streams.slice(0, limit);
     
     res.json({
       success: true,
-      streams: streams.map(stream => ({
-        id: stream.id,
-        title: stream.title,
-        description: stream.description,
-        createdAt: stream.createdAt,
-        chunkCount: stream.chunks ? stream.chunks.length : 0,
-        status: stream.status
-      }))
+      streams: page.map(stream => ({
+        ...formatStream(req, stream),
+        creator: {
+          id: stream.user_id,
+          username: stream.username,
+          displayName: [stream.first_name, stream.last_name].filter(Boolean).join(' ') || stream.username,
+          profileImageUrl: stream.profile_image_url
+        }
+      })),
+      nextCursor: streams.length > limit ? encodeCursor(page[page.length - 1]) : null
     });
 
   } catch (error) {
-    console.error('❌ Error retrieving user streams:', error);
+    console.error('❌ Error discovering streams:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve streams'
+      message: 'Failed to load streams'
     });
   }
 });
 
-// DELETE /stream/:streamId - Delete stream (mark as deleted, don't actually delete from IPFS/Arweave)
-router.delete('/:streamId', authenticateToken, async (req, res) => {
+// GET /stream/user/:userId - Get user's streams
+router.get('/user/:userId', authenticateToken, requireScope('stream:read'), async (req, res) => {
   try {
-    const { streamId } = req.params;
+    const userId = parseInt(req.params.userId);
     
-    // Verify ownership
-    const streamMetadata = await IPFSService.getStreamMetadata(streamId);
-    if (!streamMetadata || streamMetadata.userId !== req.user.id) {
-      return res.status(404).json({
+    // Only allow users to see their own streams (for now)
+    if (req.user.id !== userId) {
+      return res.status(403).json({
         success: false,
-        message: 'Stream not found or access denied'
+        message: 'Access denied'
       });
     }
     
-    // Mark as deleted (but don't actually delete from IPFS/Arweave)
-    streamMetadata.status = 'deleted';
-    streamMetadata.deletedAt = new Date().toISOString();
-    
-    // Update metadata
-    await IPFSService.uploadJSON(streamMetadata);
-    
-    console.log(`🗑️ Marked stream as deleted: ${streamId}`);
+    const streams = await findUserStreams(userId);
     
     res.json({
       success: true,
-      message: 'Stream marked as deleted'
+      streams: streams.map(stream => formatStream(req, stream))
     });
 
   } catch (error) {
-    console.error('❌ Error deleting stream:', error);
+    console.error('❌ Error retrieving user streams:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete stream'
+      message: 'Failed to retrieve streams'
+    });
+  }
+});
+
+// Helper function to run a lifecycle transition on one of the current user's streams.
+// Returns the updated stream, or null once an error response has been sent.
+const transitionOwnStream = async (req, res, toStatus, message) => {
+  const stream = await findOwnStream(req.params.streamId, req.user);
+  if (!stream) {
+    sendOwnStreamNotFound(res);
+    return null;
+  }
+
+  let updated;
+  try {
+    updated = await StreamLifecycleService.transition(stream, toStatus);
+  } catch (error) {
+    sendTransitionError(res, error, stream);
+    return null;
+  }
+
+  res.json({
+    success: true,
+    message,
+    stream: formatStream(req, updated)
+  });
+  return updated;
+};
+
+// POST /stream/:streamId/start - Go live
+router.post('/:streamId/start', authenticateToken, requireScope('stream:write'), idempotent, async (req, res) => {
+  try {
+    await transitionOwnStream(req, res, 'live', 'Stream is live');
+  } catch (error) {
+    console.error('❌ Error starting stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start stream'
+    });
+  }
+});
+
+// POST /stream/:streamId/end - End the stream (no more chunks are accepted)
+router.post('/:streamId/end', authenticateToken, requireScope('stream:write'), idempotent, async (req, res) => {
+  try {
+    const updated = await transitionOwnStream(req, res, 'ended', 'Stream ended');
+    if (!updated) return;
+
+    // Streams whose chunks were all archived while live are archived straight away
+    StreamLifecycleService.archiveIfComplete(updated.id).catch(error => {
+      console.error(`❌ Failed to archive stream ${updated.id}:`, error);
+    });
+  } catch (error) {
+    console.error('❌ Error ending stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end stream'
+    });
+  }
+});
+
+// PATCH /stream/:streamId - Edit title, description, tags and category, and/or upload a thumbnail
+// (multipart 'thumbnail' field). Every edit publishes a new metadata version linked to the last one.
+router.patch('/:streamId', authenticateToken, requireScope('stream:write'), thumbnailUpload.single('thumbnail'), idempotent, async (req, res) => {
+  try {
+    const { title, description, category } = req.body;
+    const updates = {};
+    
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `title must be between 1 and ${MAX_TITLE_LENGTH} characters`
+        });
+      }
+      updates.title = title.trim();
+    }
+    
+    if (description !== undefined) {
+      if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+        });
+      }
+      updates.description = description.trim();
+    }
+    
+    if (req.body.tags !== undefined) {
+      updates.tags = normalizeTags(req.body.tags);
+      if (!updates.tags) {
+        return res.status(400).json({
+          success: false,
+          message: TAGS_ERROR_MESSAGE
+        });
+      }
+    }
+    
+    // An empty category clears it
+    if (category !== undefined) {
+      if (typeof category !== 'string' || category.trim().length > MAX_CATEGORY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `category must be at most ${MAX_CATEGORY_LENGTH} characters`
+        });
+      }
+      updates.category = category.trim() || null;
+    }
+    
+    const imageType = req.file ? detectImageType(req.file.buffer) : null;
+    if (req.file && !imageType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Thumbnail must be a JPEG, PNG or WebP image',
+        code: 'INVALID_IMAGE_TYPE'
+      });
+    }
+    
+    if (Object.keys(updates).length === 0 && !req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update: provide title, description, tags, category or a thumbnail'
+      });
+    }
+    
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    if (req.file) {
+      const uploadResult = await IPFSService.uploadBuffer(req.file.buffer, `thumbnail-${stream.id}${imageType.extension}`);
+      updates.thumbnail_hash = uploadResult.hash;
+    }
+    
+    // Save the edit together with the metadata version that describes it
+    const updated = await StreamMetadataService.publish(stream, { change: 'edit', updates });
+    
+    console.log(`✏️ Stream ${stream.id} metadata edited: ${Object.keys(updates).join(', ')}`);
+    
+    res.json({
+      success: true,
+      message: 'Stream updated',
+      stream: formatStream(req, updated)
+    });
+
+  } catch (error) {
+    if (error.code === 'METADATA_CONFLICT') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('❌ Error updating stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update stream'
+    });
+  }
+});
+
+// GET /stream/:streamId/metadata/history - Published metadata versions, newest (the head) first
+router.get('/:streamId/metadata/history', optionalAuth, async (req, res) => {
+  try {
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    const versions = await findMetadataVersions(stream.id);
+    
+    res.json({
+      success: true,
+      streamId: stream.id,
+      head: stream.metadata_hash,
+      versions: versions.map(version => ({
+        version: version.version,
+        metadataHash: version.metadata_hash,
+        previousHash: version.previous_hash,
+        change: version.change,
+        createdAt: version.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error retrieving metadata history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve metadata history'
+    });
+  }
+});
+
+// DELETE /stream/:streamId - Delete stream (mark as deleted, don't actually delete from IPFS/Arweave)
+router.delete('/:streamId', authenticateToken, requireScope('stream:write'), idempotent, async (req, res) => {
+  try {
+    // Verify ownership
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    // Mark as deleted (but don't actually delete from IPFS/Arweave)
+    try {
+      await StreamLifecycleService.transition(stream, 'deleted', { reason: 'user' });
+    } catch (error) {
+      return sendTransitionError(res, error, stream);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Stream marked as deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete stream'
+    });
+  }
+});
+
+// POST /stream/:streamId/playback-token - Signed, short-lived token for playing a stream you can watch
+router.post('/:streamId/playback-token', authenticateToken, requireScope('stream:read'), async (req, res) => {
+  try {
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    const token = generatePlaybackToken(req.user.id, stream.id);
+    const { exp } = KeyRingService.verifySync(token);
+    
+    res.json({
+      success: true,
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      playlistUrl: `${req.baseUrl}/${stream.id}/playlist.m3u8?token=${encodeURIComponent(token)}`
+    });
+
+  } catch (error) {
+    console.error('❌ Error issuing playback token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue playback token'
+    });
+  }
+});
+
+// POST /stream/:streamId/export - Assemble an ended stream's chunks into one file
+// Body: format ('auto' concatenates MPEG-TS or fragmented MP4 chunks when possible, 'tar' always
+// bundles them), store (owner only: also store the file through IPFS and archive it to Arweave)
+router.post('/:streamId/export', authenticateToken, requireScope('stream:read'), idempotent, async (req, res) => {
+  try {
+    const { format = 'auto' } = req.body;
+    const store = req.body.store === true || req.body.store === 'true';
+    
+    if (!['auto', 'tar'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be 'auto' or 'tar'"
+      });
+    }
+    
+    const stream = await findViewableStream(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    
+    if (!['ended', 'archived'].includes(stream.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only ended streams can be exported',
+        code: 'STREAM_NOT_ENDED',
+        currentStatus: stream.status
+      });
+    }
+    
+    if (store && stream.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the stream owner can store exports permanently',
+        code: 'STREAM_FORBIDDEN'
+      });
+    }
+    
+    if (store && parseInt(stream.total_size) > StreamExportService.maxStoredSize) {
+      return res.status(413).json({
+        success: false,
+        message: `Only streams up to ${StreamExportService.maxStoredSize / (1024 * 1024)}MB can be stored permanently`,
+        code: 'EXPORT_TOO_LARGE'
+      });
+    }
+    
+    // Ended streams don't change, so an earlier export of the same kind is handed back
+    const existing = await findReusableExport(stream.id, format, store);
+    if (existing) {
+      return res.json({
+        success: true,
+        export: formatExport(req, existing)
+      });
+    }
+    
+    const job = await createExport({
+      id: uuidv4(),
+      streamId: stream.id,
+      userId: req.user.id,
+      requestedFormat: format,
+      storePermanently: store
+    });
+    
+    console.log(`📼 Export ${job.id} of stream ${stream.id} queued`);
+    StreamExportService.processQueue();
+    
+    res.status(202).json({
+      success: true,
+      export: formatExport(req, job)
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create export'
+    });
+  }
+});
+
+// GET /stream/:streamId/exports/:exportId - Export job status (poll until completed or failed)
+router.get('/:streamId/exports/:exportId', optionalAuth, async (req, res) => {
+  try {
+    const { stream, job } = await findViewableExport(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    if (!job) {
+      return sendExportNotFound(res);
+    }
+    
+    res.json({
+      success: true,
+      export: formatExport(req, job)
+    });
+
+  } catch (error) {
+    console.error('❌ Error retrieving export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve export'
+    });
+  }
+});
+
+// GET /stream/:streamId/exports/:exportId/download - The exported file (supports Range requests)
+router.get('/:streamId/exports/:exportId/download', optionalAuth, async (req, res) => {
+  try {
+    const { stream, job } = await findViewableExport(req);
+    if (!stream) {
+      return sendStreamNotFound(res);
+    }
+    if (!job) {
+      return sendExportNotFound(res);
+    }
+    
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Export is not ready yet',
+        code: 'EXPORT_NOT_READY',
+        status: job.status
+      });
+    }
+    
+    const { extension, mimetype } = StreamExportService.formatInfo(job.format);
+    const filePath = StreamExportService.filePath(job);
+    
+    res.set({
+      'Content-Type': mimetype,
+      'Content-Disposition': `attachment; filename="stream-${stream.id}.${extension}"`,
+      'Cache-Control': stream.is_private ? 'private, max-age=3600' : 'public, max-age=86400'
+    });
+    
+    if (fs.existsSync(filePath)) {
+      return res.sendFile(filePath, { cacheControl: false }, (error) => {
+        if (error && !res.headersSent) {
+          console.error('❌ Error sending export:', error);
+          res.status(error.status || 500).end();
+        }
+      });
+    }
+    
+    // The local file is gone: serve the stored IPFS copy
+    const content = job.ipfs_hash ? await IPFSService.getContent(job.ipfs_hash) : null;
+    if (!content) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      return res.status(503).json({
+        success: false,
+        message: 'Export file is not available from storage',
+        code: 'EXPORT_CONTENT_UNAVAILABLE'
+      });
+    }
+    
+    res.set('ETag', `"${job.ipfs_hash}"`);
+    sendContent(req, res, content.data);
+
+  } catch (error) {
+    console.error('❌ Error downloading export:', error);
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download export'
+    });
+  }
+});
+
+// GET /stream/:streamId/viewers - List the users allowed to watch one of your private streams
+router.get('/:streamId/viewers', authenticateToken, requireScope('stream:read'), async (req, res) => {
+  try {
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    const viewers = await findViewers(stream.id);
+    
+    res.json({
+      success: true,
+      viewers: viewers.map(viewer => ({
+        userId: viewer.id,
+        username: viewer.username,
+        addedAt: viewer.added_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error retrieving viewers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve viewers'
+    });
+  }
+});
+
+// POST /stream/:streamId/viewers - Allow another user (by username) to watch one of your private streams
+router.post('/:streamId/viewers', authenticateToken, requireScope('stream:write'), idempotent, async (req, res) => {
+  try {
+    const { username } = req.body;
+    
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'username is required'
+      });
+    }
+    
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    const user = await findUserByUsername(username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+    
+    if (user.id === stream.user_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'The stream owner can already watch the stream'
+      });
+    }
+    
+    await addViewer(stream.id, user.id);
+    console.log(`👁️ Added viewer ${user.id} to stream ${stream.id}`);
+    
+    res.json({
+      success: true,
+      message: 'Viewer added',
+      viewer: {
+        userId: user.id,
+        username: user.username
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding viewer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add viewer'
+    });
+  }
+});
+
+// DELETE /stream/:streamId/viewers/:userId - Stop a user watching one of your private streams
+router.delete('/:streamId/viewers/:userId', authenticateToken, requireScope('stream:write'), idempotent, async (req, res) => {
+  try {
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    const removed = await removeViewer(stream.id, parseInt(req.params.userId) || 0);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Viewer not found'
+      });
+    }
+    
+    console.log(`👁️ Removed viewer ${req.params.userId} from stream ${stream.id}`);
+    
+    res.json({
+      success: true,
+      message: 'Viewer removed'
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing viewer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove viewer'
+    });
+  }
+});
+
+// GET /stream/:streamId/cohosts - List the users allowed to upload chunks to one of your streams
+router.get('/:streamId/cohosts', authenticateToken, requireScope('stream:read'), async (req, res) => {
+  try {
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    const cohosts = await findCohosts(stream.id);
+    
+    res.json({
+      success: true,
+      cohosts: cohosts.map(cohost => ({
+        userId: cohost.id,
+        username: cohost.username,
+        addedAt: cohost.added_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error retrieving co-hosts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve co-hosts'
+    });
+  }
+});
+
+// POST /stream/:streamId/cohosts - Allow another user (by username) to upload chunks to one of your streams
+router.post('/:streamId/cohosts', authenticateToken, requireScope('stream:write'), idempotent, async (req, res) => {
+  try {
+    const { username } = req.body;
+    
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'username is required'
+      });
+    }
+    
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    const user = await findUserByUsername(username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+    
+    if (user.id === stream.user_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'The stream owner can already upload chunks'
+      });
+    }
+    
+    await addCohost(stream.id, user.id);
+    console.log(`👥 Added co-host ${user.id} to stream ${stream.id}`);
+    
+    res.json({
+      success: true,
+      message: 'Co-host added',
+      cohost: {
+        userId: user.id,
+        username: user.username
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding co-host:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add co-host'
+    });
+  }
+});
+
+// DELETE /stream/:streamId/cohosts/:userId - Stop a user uploading chunks to one of your streams
+router.delete('/:streamId/cohosts/:userId', authenticateToken, requireScope('stream:write'), idempotent, async (req, res) => {
+  try {
+    const stream = await findOwnStream(req.params.streamId, req.user);
+    if (!stream) {
+      return sendOwnStreamNotFound(res);
+    }
+    
+    const removed = await removeCohost(stream.id, parseInt(req.params.userId) || 0);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Co-host not found'
+      });
+    }
+    
+    console.log(`👥 Removed co-host ${req.params.userId} from stream ${stream.id}`);
+    
+    res.json({
+      success: true,
+      message: 'Co-host removed'
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing co-host:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove co-host'
     });
   }
 });
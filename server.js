@@ -5,13 +5,32 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { Server } = require('socket.io');
 const http = require('http');
+const cron = require('node-cron');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const streamRoutes = require('./routes/stream');
 
 // Import middleware
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, requireRole, requireSession } = require('./middleware/auth');
+
+// Import services
+const AuditService = require('./services/audit');
+const StreamLifecycleService = require('./services/streamLifecycle');
+const StreamExportService = require('./services/streamExport');
+
+// Import models
+const {
+  UserModel,
+  RefreshTokenModel,
+  EmailOutboxModel,
+  LoginCodeModel,
+  IdempotencyKeyModel,
+  SiweNonceModel,
+  SecurityEventModel,
+  ROLES,
+  ACCOUNT_DELETION_GRACE_DAYS
+} = require('./models/user');
 
 const app = express();
 
@@ -44,15 +63,9 @@ const limiter = rateLimit({
   legacyHeaders: false,
   // Railway-specific configuration
   trustProxy: 'loopback, linklocal, uniquelocal',
-  keyGenerator: (req) => {
-    // Use the real IP from Railway's proxy headers
-    return req.headers['x-forwarded-for']?.split(',')[0].trim() || 
-           req.headers['x-real-ip'] || 
-           req.connection.remoteAddress || 
-           req.socket.remoteAddress ||
-           (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
-           'unknown';
-  },
+  // req.ip honours 'trust proxy', so only Railway's own proxy hops are trusted and a
+  // client-supplied x-forwarded-for can't be used to dodge the limit
+  keyGenerator: (req) => req.ip || 'unknown',
   // Skip rate limiting for health checks
   skip: (req) => req.path === '/api/v1/health'
 });
@@ -112,7 +125,21 @@ const corsOptions = {
     'DNT',
     'If-Modified-Since',
     'Keep-Alive',
-    'X-CustomHeader'
+    'X-CustomHeader',
+    'X-Device-Name',
+    'Range',
+    'If-Range',
+    'If-None-Match',
+    'Idempotency-Key'
+  ],
+  // Response headers web players need for Range requests and ETag revalidation, and the
+  // marker for responses replayed from an Idempotency-Key
+  exposedHeaders: [
+    'ETag',
+    'Content-Range',
+    'Accept-Ranges',
+    'Content-Length',
+    'Idempotent-Replayed'
   ],
   // Allow all common HTTP methods
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH']
@@ -156,6 +183,9 @@ const io = new Server(server, {
   transports: ['websocket', 'polling']
 });
 
+// Stream status changes are announced to each stream's room
+StreamLifecycleService.attach(io);
+
 // WebRTC signaling for live streaming
 const rooms = new Map();
 const peers = new Map();
@@ -228,6 +258,14 @@ io.on('connection', (socket) => {
 // API ROUTES
 // ==============================================
 
+// Public keys for verifying zipIQ access tokens (includes retired keys until their tokens expire)
+app.get('/.well-known/jwks.json', (req, res) => {
+  const KeyRingService = require('./services/keyring');
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(KeyRingService.getJwks());
+});
+
 // Health check endpoint
 app.get('/api/v1/health', async (req, res) => {
   try {
@@ -292,23 +330,26 @@ app.get('/', (req, res) => {
 });
 
 // ==============================================
-// ADMIN ENDPOINTS (Optional)
+// ADMIN ENDPOINTS
 // ==============================================
 
-// Get system statistics (protected)
-app.get('/api/v1/admin/stats', authenticateToken, async (req, res) => {
+// Get system statistics (admin only)
+app.get('/api/v1/admin/stats', authenticateToken, requireSession, requireRole('admin'), async (req, res) => {
   try {
     const IPFSService = require('./services/ipfs');
     const ArweaveService = require('./services/arweave');
+    const MailerService = require('./services/mailer');
     
     const ipfsStats = IPFSService.getStorageStats();
     const arweaveStats = ArweaveService.getQueueStats();
+    const mailStats = await MailerService.getStats();
     
     res.json({
       success: true,
       stats: {
         ipfs: ipfsStats,
         arweave: arweaveStats,
+        mail: mailStats,
         webrtc: {
           activeRooms: rooms.size,
           connectedPeers: peers.size,
@@ -335,6 +376,191 @@ app.get('/api/v1/admin/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// List outgoing emails by status - failed deliveries by default (admin only)
+app.get('/api/v1/admin/mail', authenticateToken, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const MailerService = require('./services/mailer');
+    const status = req.query.status || 'failed';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!['pending', 'sending', 'sent', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: pending, sending, sent, failed'
+      });
+    }
+
+    const messages = await MailerService.getMessages(status, limit);
+
+    res.json({
+      success: true,
+      messages: messages.map(message => ({
+        id: message.id,
+        template: message.template,
+        recipient: message.recipient,
+        subject: message.subject,
+        status: message.status,
+        attempts: message.attempts,
+        nextAttemptAt: message.next_attempt_at,
+        lastError: message.last_error,
+        createdAt: message.created_at,
+        sentAt: message.sent_at
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve emails',
+      error: error.message
+    });
+  }
+});
+
+// Retry a failed email (admin only)
+app.post('/api/v1/admin/mail/:id/retry', authenticateToken, requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const MailerService = require('./services/mailer');
+    const requeued = await MailerService.retry(req.params.id);
+
+    if (!requeued) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email queued for another attempt'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry email',
+      error: error.message
+    });
+  }
+});
+
+// Change a user's role (admin only)
+app.put('/api/v1/admin/users/:userId/role', authenticateToken, requireSession, requireRole('admin'), (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const { role } = req.body;
+
+  if (!/^\d+$/.test(req.params.userId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'userId must be a number'
+    });
+  }
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role must be one of: ${ROLES.join(', ')}`,
+      code: 'INVALID_ROLE'
+    });
+  }
+
+  // Admins can't demote themselves, so there is always at least one admin left
+  if (userId === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change your own role',
+      code: 'CANNOT_CHANGE_OWN_ROLE'
+    });
+  }
+
+  UserModel.setRole(userId, role, (err, user) => {
+    if (err) {
+      console.error('❌ Error changing user role:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to change role'
+      });
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`👑 ${req.user.email} set role of ${user.email} to ${role}`);
+    AuditService.record(req, 'role.change', 'success', {
+      userId: user.id,
+      email: user.email,
+      details: { role, changedBy: req.user.id }
+    });
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id.toString(),
+        email: user.email,
+        username: user.username,
+        role: user.role
+      }
+    });
+  });
+});
+
+// Search the security log (admin only). Filters: userId, eventType, outcome, email,
+// ipAddress, from, to (ISO timestamps); paginated with limit/offset.
+app.get('/api/v1/admin/security-events', authenticateToken, requireSession, requireRole('admin'), (req, res) => {
+  const { userId, eventType, outcome, email, ipAddress, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if (userId !== undefined && !/^\d+$/.test(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'userId must be a number'
+    });
+  }
+
+  if (outcome !== undefined && !['success', 'failure', 'blocked'].includes(outcome)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Outcome must be one of: success, failure, blocked'
+    });
+  }
+
+  if ([from, to].some(date => date !== undefined && isNaN(Date.parse(date)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be ISO 8601 timestamps'
+    });
+  }
+
+  const filters = {
+    userId: userId && parseInt(userId),
+    eventType,
+    outcome,
+    email,
+    ipAddress,
+    from: from && new Date(from),
+    to: to && new Date(to)
+  };
+
+  SecurityEventModel.find(filters, limit, offset, (err, events, total) => {
+    if (err) {
+      console.error('❌ Error retrieving security events:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve security events'
+      });
+    }
+
+    res.json({
+      success: true,
+      events: events.map(event => AuditService.formatEvent(event)),
+      pagination: { limit, offset, total }
+    });
+  });
+});
+
 // ==============================================
 // ERROR HANDLING
 // ==============================================
@@ -371,6 +597,66 @@ app.use((err, req, res, next) => {
   });
 });
 
+// ==============================================
+// SCHEDULED JOBS
+// ==============================================
+
+// Purge accounts whose deletion grace period has passed (daily at 03:00)
+const accountPurgeJob = cron.schedule('0 3 * * *', () => {
+  UserModel.purgeDeleted(ACCOUNT_DELETION_GRACE_DAYS, (err, purgedIds) => {
+    if (err) {
+      console.error('❌ Deleted account purge failed:', err);
+      return;
+    }
+    console.log(`🧹 Purged ${purgedIds.length} deleted accounts`);
+  });
+});
+
+// Delete delivered emails from the outbox after 30 days (daily at 03:30)
+const emailOutboxCleanupJob = cron.schedule('30 3 * * *', () => {
+  EmailOutboxModel.cleanupSent(30, (err, deletedCount) => {
+    if (err) {
+      console.error('❌ Email outbox cleanup failed:', err);
+      return;
+    }
+    console.log(`🧹 Removed ${deletedCount} delivered emails from the outbox`);
+  });
+});
+
+// Delete stream exports after EXPORT_RETENTION_DAYS (daily at 04:00)
+const EXPORT_RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS) || 7;
+const exportCleanupJob = cron.schedule('0 4 * * *', () => {
+  StreamExportService.cleanupExpired(EXPORT_RETENTION_DAYS)
+    .then(({ deletedJobs, deletedFiles }) => {
+      console.log(`🧹 Removed ${deletedJobs} expired stream exports and ${deletedFiles} export files`);
+    })
+    .catch(error => {
+      console.error('❌ Stream export cleanup failed:', error);
+    });
+});
+
+// Delete expired single-use tokens: refresh tokens, SIWE nonces, login codes, idempotency keys (hourly)
+const expiredTokenCleanupJob = cron.schedule('15 * * * *', () => {
+  const cleanups = {
+    'refresh tokens': RefreshTokenModel.cleanupExpired,
+    'SIWE nonces': SiweNonceModel.cleanupExpired,
+    'login codes': LoginCodeModel.cleanupExpired,
+    'idempotency keys': IdempotencyKeyModel.cleanupExpired
+  };
+
+  Object.entries(cleanups).forEach(([name, cleanup]) => {
+    cleanup((err, deletedCount) => {
+      if (err) {
+        console.error(`❌ Cleanup of expired ${name} failed:`, err);
+        return;
+      }
+      if (deletedCount > 0) {
+        console.log(`🧹 Removed ${deletedCount} expired ${name}`);
+      }
+    });
+  });
+});
+
 // ==============================================
 // GRACEFUL SHUTDOWN
 // ==============================================
@@ -378,6 +664,12 @@ app.use((err, req, res, next) => {
 const shutdown = (signal) => {
   console.log(`\n💡 Received ${signal}, shutting down gracefully...`);
   
+  // Stop scheduled jobs
+  accountPurgeJob.stop();
+  emailOutboxCleanupJob.stop();
+  exportCleanupJob.stop();
+  expiredTokenCleanupJob.stop();
+  
   server.close(() => {
     console.log('🔴 HTTP server closed');
     
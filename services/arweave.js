@@ -1,4 +1,6 @@
 const Arweave = require('arweave');
+const { ChunkModel, StreamExportModel } = require('../models/user');
+const StreamLifecycleService = require('./streamLifecycle');
 
 class ArweaveService {
   constructor() {
@@ -49,9 +51,12 @@ class ArweaveService {
   async queueForArchival(data) {
     try {
       const queueItem = {
-        id: `${data.streamId}_${data.chunkIndex}`,
+        id: data.exportId ? `${data.streamId}_export_${data.exportId}` : `${data.streamId}_${data.chunkIndex}`,
         data: data.data,
         metadata: {
+          chunkId: data.chunkId,
+          exportId: data.exportId,
+          contentType: data.contentType,
           streamId: data.streamId,
           chunkIndex: data.chunkIndex,
           timestamp: data.timestamp,
@@ -100,6 +105,25 @@ class ArweaveService {
           metadata: item.metadata
         });
         
+        // Record the transaction on the chunk row
+        if (item.metadata.chunkId) {
+          ChunkModel.updateArweaveStatus(item.metadata.chunkId, item.transactionId, (err) => {
+            if (err) return console.error(`❌ Failed to record Arweave transaction for ${item.id}:`, err);
+
+            // The last archived chunk of an ended stream archives the stream
+            StreamLifecycleService.archiveIfComplete(item.metadata.streamId).catch(error => {
+              console.error(`❌ Failed to archive stream ${item.metadata.streamId}:`, error);
+            });
+          });
+        }
+        
+        // Record the transaction on a stored stream export
+        if (item.metadata.exportId) {
+          StreamExportModel.updateArweaveStatus(item.metadata.exportId, item.transactionId, (err) => {
+            if (err) console.error(`❌ Failed to record Arweave transaction for ${item.id}:`, err);
+          });
+        }
+        
       } catch (error) {
         console.error(`❌ Failed to archive ${item.id}:`, error);
         
@@ -140,9 +164,13 @@ class ArweaveService {
       // Add tags for metadata
       transaction.addTag('App-Name', 'zipIQ');
       transaction.addTag('App-Version', '1.0.0');
-      transaction.addTag('Content-Type', 'video/chunk');
+      transaction.addTag('Content-Type', item.metadata.contentType || 'video/chunk');
       transaction.addTag('Stream-ID', item.metadata.streamId);
-      transaction.addTag('Chunk-Index', item.metadata.chunkIndex.toString());
+      if (item.metadata.exportId) {
+        transaction.addTag('Export-ID', item.metadata.exportId);
+      } else {
+        transaction.addTag('Chunk-Index', item.metadata.chunkIndex.toString());
+      }
       transaction.addTag('Timestamp', item.metadata.timestamp.toString());
       transaction.addTag('User-ID', item.metadata.userId);
       transaction.addTag('IPFS-Hash', item.metadata.ipfsHash);
@@ -0,0 +1,45 @@
+// audit.js - Records authentication and account events in the append-only security_events table
+const { SecurityEventModel } = require('../models/user');
+
+class AuditService {
+  // Record an event. Outcome is 'success', 'failure' or 'blocked'. Request details
+  // (IP, user agent, signed-in user and session) are taken from req when available.
+  // Never throws: a failed audit write is logged but doesn't fail the request.
+  record(req, eventType, outcome, { userId, email, sessionId, details } = {}) {
+    const user = req && req.user;
+
+    SecurityEventModel.create({
+      userId: userId || (user && user.id),
+      eventType,
+      outcome,
+      email: email || (user && user.email),
+      ipAddress: req && req.ip,
+      userAgent: req && req.get('User-Agent'),
+      sessionId: sessionId || (user && user.sessionId),
+      details
+    }, (err) => {
+      if (err) {
+        console.error(`❌ Failed to record security event ${eventType}:`, err);
+      }
+    });
+  }
+
+  // Shape a stored event for API responses
+  formatEvent(event) {
+    return {
+      id: event.id.toString(),
+      userId: event.user_id ? event.user_id.toString() : null,
+      eventType: event.event_type,
+      outcome: event.outcome,
+      email: event.email,
+      ipAddress: event.ip_address,
+      userAgent: event.user_agent,
+      sessionId: event.session_id,
+      details: event.details,
+      createdAt: event.created_at
+    };
+  }
+}
+
+// Export as singleton
+module.exports = new AuditService();
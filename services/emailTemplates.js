@@ -0,0 +1,225 @@
+// emailTemplates.js - Named email templates rendered to subject, HTML and plain text
+
+// Escape user-controlled values (usernames, URLs) before they go into HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const FOOTER_TEXT = [
+  'This email was sent by zipIQ Security System',
+  'If you have questions, contact support at support@zipiq.com'
+];
+
+// Shared page chrome around every template body
+const layout = ({ title, subtitle, body }) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #333; margin-bottom: 10px;">${title}</h1>
+        <p style="color: #666; font-size: 16px;">${subtitle}</p>
+      </div>
+
+      <div style="background-color: #f9f9f9; padding: 30px; border-radius: 10px; margin-bottom: 30px;">
+        ${body}
+      </div>
+
+      <div style="text-align: center; color: #999; font-size: 12px; border-top: 1px solid #eee; padding-top: 20px;">
+        ${FOOTER_TEXT.map(line => `<p>${line}</p>`).join('\n        ')}
+      </div>
+    </div>
+  `;
+
+const paragraph = (text) => `
+        <p style="color: #333; font-size: 16px; margin-bottom: 20px;">${text}</p>`;
+
+// Mobile-friendly code box that can be copied into the app
+const codeBox = (label, code, hint = '') => `
+        <div style="background-color: #f0f8ff; border: 2px solid #007bff; border-radius: 8px; padding: 20px; margin: 30px 0; text-align: center;">
+          <p style="color: #333; font-size: 14px; font-weight: bold; margin-bottom: 10px;">${label}:</p>
+          <div style="background-color: white; padding: 15px; border-radius: 5px; border: 1px solid #ddd;">
+            <span style="font-family: 'Courier New', monospace; font-size: 18px; font-weight: bold; color: #007bff; letter-spacing: 2px;">
+              ${escapeHtml(code)}
+            </span>
+          </div>${hint ? `
+          <p style="color: #666; font-size: 12px; margin-top: 10px;">
+            ${hint}
+          </p>` : ''}
+        </div>`;
+
+const button = (url, label, intro = '') => `
+        <div style="text-align: center; margin: 30px 0;">${intro ? `
+          <p style="color: #666; font-size: 14px; margin-bottom: 15px;">
+            ${intro}
+          </p>` : ''}
+          <a href="${escapeHtml(url)}"
+             style="background-color: #007bff; color: white; padding: 12px 25px;
+                    text-decoration: none; border-radius: 5px; font-size: 14px;
+                    font-weight: bold; display: inline-block;">
+            ${label}
+          </a>
+        </div>`;
+
+const warning = (headline, detail) => `
+        <div style="border-top: 1px solid #ddd; padding-top: 20px; margin-top: 20px;">
+          <p style="color: #d9534f; font-size: 14px; font-weight: bold; margin-bottom: 10px;">
+            ⚠️ ${headline}
+          </p>
+          <p style="color: #666; font-size: 14px;">
+            ${detail}
+          </p>
+        </div>`;
+
+// Plain-text alternative: lines joined with blank lines, followed by the footer
+const plainText = (lines) => [...lines, '--', ...FOOTER_TEXT].join('\n\n');
+
+const templates = {
+  // data: { username, resetUrl, token, expiresInMinutes }
+  'password-reset': ({ username, resetUrl, token, expiresInMinutes = 60 }) => ({
+    subject: 'Reset Your zipIQ Password',
+    html: layout({
+      title: 'Reset Your zipIQ Password',
+      subtitle: 'We received a request to reset your password',
+      body: paragraph(`Hi ${escapeHtml(username)},`) +
+        paragraph('Someone requested a password reset for your zipIQ account. Use the reset code below in the zipIQ mobile app:') +
+        codeBox('RESET CODE', token, '📱 <strong>Mobile users:</strong> Tap and hold to copy this code, then paste it in the zipIQ app') + `
+        <div style="background-color: #e8f5e8; border-left: 4px solid #28a745; padding: 15px; margin: 20px 0;">
+          <h3 style="color: #28a745; margin-top: 0;">How to reset your password:</h3>
+          <ol style="color: #333; font-size: 14px; margin-bottom: 0;">
+            <li>Open the zipIQ mobile app</li>
+            <li>Tap "Forgot Password?" on the login screen</li>
+            <li>Tap "Enter Reset Token Manually"</li>
+            <li>Copy and paste the reset code above</li>
+            <li>Enter your new password</li>
+          </ol>
+        </div>` +
+        button(resetUrl, 'Reset Password Online', 'Or reset your password on the web:') +
+        warning(
+          `This reset code will expire in ${expiresInMinutes} minutes`,
+          "If you didn't request this password reset, please ignore this email. Your password will remain unchanged."
+        )
+    }),
+    text: plainText([
+      `Hi ${username},`,
+      'Someone requested a password reset for your zipIQ account. Enter this reset code in the zipIQ mobile app:',
+      token,
+      `Or reset your password on the web: ${resetUrl}`,
+      `This reset code will expire in ${expiresInMinutes} minutes. If you didn't request this password reset, please ignore this email.`
+    ])
+  }),
+
+  // data: { username, verifyUrl, token, expiresInHours }
+  'email-verification': ({ username, verifyUrl, token, expiresInHours }) => ({
+    subject: 'Verify Your zipIQ Email',
+    html: layout({
+      title: 'Verify Your zipIQ Email',
+      subtitle: 'Confirm this address to finish setting up your account',
+      body: paragraph(`Hi ${escapeHtml(username)},`) +
+        paragraph('Thanks for joining zipIQ! Use the verification code below in the zipIQ mobile app:') +
+        codeBox('VERIFICATION CODE', token) +
+        button(verifyUrl, 'Verify Email', 'Or verify your email on the web:') +
+        warning(
+          `This verification code will expire in ${expiresInHours} hours`,
+          "If you didn't create a zipIQ account, please ignore this email."
+        )
+    }),
+    text: plainText([
+      `Hi ${username},`,
+      'Thanks for joining zipIQ! Enter this verification code in the zipIQ mobile app:',
+      token,
+      `Or verify your email on the web: ${verifyUrl}`,
+      `This verification code will expire in ${expiresInHours} hours. If you didn't create a zipIQ account, please ignore this email.`
+    ])
+  }),
+
+  // data: { username, unlockUrl, token, lockoutMinutes }
+  'account-locked': ({ username, unlockUrl, token, lockoutMinutes }) => ({
+    subject: 'Your zipIQ Account Has Been Locked',
+    html: layout({
+      title: 'Your zipIQ Account Was Locked',
+      subtitle: 'We noticed too many failed sign-in attempts',
+      body: paragraph(`Hi ${escapeHtml(username)},`) +
+        paragraph(`To protect your account, sign-in has been paused for ${lockoutMinutes} minutes. If this was you, you can unlock it right away with the code below in the zipIQ mobile app:`) +
+        codeBox('UNLOCK CODE', token) +
+        button(unlockUrl, 'Unlock Account') +
+        warning(
+          "If this wasn't you, someone may be trying to guess your password",
+          'Consider resetting your password and enabling two-factor authentication.'
+        )
+    }),
+    text: plainText([
+      `Hi ${username},`,
+      `To protect your account, sign-in has been paused for ${lockoutMinutes} minutes. If this was you, unlock it with this code in the zipIQ mobile app:`,
+      token,
+      `Or unlock it on the web: ${unlockUrl}`,
+      "If this wasn't you, someone may be trying to guess your password. Consider resetting your password and enabling two-factor authentication."
+    ])
+  }),
+
+  // data: { username, loginUrl, code, expiresInMinutes }
+  'passwordless-login': ({ username, loginUrl, code, expiresInMinutes }) => ({
+    subject: `Your zipIQ Sign-In Code: ${code}`,
+    html: layout({
+      title: 'Sign In to zipIQ',
+      subtitle: 'Use this one-time code instead of your password',
+      body: paragraph(`Hi ${escapeHtml(username)},`) +
+        paragraph('Enter the code below in the zipIQ mobile app to sign in:') +
+        codeBox('SIGN-IN CODE', code) +
+        button(loginUrl, 'Sign In to zipIQ', 'Or tap the button on this device to sign in straight away:') +
+        warning(
+          `This code will expire in ${expiresInMinutes} minutes and can only be used once`,
+          "If you didn't try to sign in, you can ignore this email. You can turn off email sign-in in your account settings."
+        )
+    }),
+    text: plainText([
+      `Hi ${username},`,
+      'Enter this code in the zipIQ mobile app to sign in:',
+      code,
+      `Or open this link on your device: ${loginUrl}`,
+      `This code will expire in ${expiresInMinutes} minutes and can only be used once. If you didn't try to sign in, you can ignore this email.`
+    ])
+  }),
+
+  // Generic notice about a change to the account
+  // data: { username, title, message, details: [string], actionAdvice }
+  'security-alert': ({ username, title, message, details = [], actionAdvice }) => ({
+    subject: `zipIQ Security Alert: ${title}`,
+    html: layout({
+      title: escapeHtml(title),
+      subtitle: 'A security-related change was made to your account',
+      body: paragraph(`Hi ${escapeHtml(username)},`) +
+        paragraph(escapeHtml(message)) +
+        (details.length > 0 ? `
+        <ul style="color: #333; font-size: 14px; margin-bottom: 20px;">
+          ${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('\n          ')}
+        </ul>` : '') +
+        warning(
+          "If this wasn't you, secure your account now",
+          escapeHtml(actionAdvice || 'Reset your password, review your active sessions and enable two-factor authentication.')
+        )
+    }),
+    text: plainText([
+      `Hi ${username},`,
+      message,
+      ...details.map(detail => `- ${detail}`),
+      `If this wasn't you, secure your account now. ${actionAdvice || 'Reset your password, review your active sessions and enable two-factor authentication.'}`
+    ])
+  })
+};
+
+// Render a named template. Throws for unknown template names.
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template({ ...data, username: data.username || 'there' });
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  renderTemplate,
+  escapeHtml
+};
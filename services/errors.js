@@ -0,0 +1,11 @@
+// errors.js - Errors carrying an API error code (error.code) for routes to return
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+module.exports = {
+  createError
+};
@@ -0,0 +1,79 @@
+// hlsPlaylist.js - Renders HLS media playlists (RFC 8216) from a stream's stored chunks
+
+// Used when neither the encoder nor the next chunk's timestamp tells us how long a chunk is
+const DEFAULT_SEGMENT_SECONDS = 1;
+
+// Gaps between consecutive timestamps longer than this aren't treated as a chunk's duration
+const MAX_DERIVED_SEGMENT_SECONDS = 60;
+
+// Duration of each chunk in seconds: the encoder-reported duration, else the gap to the
+// next contiguous chunk's timestamp, else the previous chunk's duration
+const chunkDurations = (chunks) => {
+  const durations = [];
+
+  chunks.forEach((chunk, i) => {
+    if (chunk.duration_ms) {
+      durations.push(chunk.duration_ms / 1000);
+      return;
+    }
+
+    const next = chunks[i + 1];
+    if (next && next.chunk_index === chunk.chunk_index + 1) {
+      const gapSeconds = (parseInt(next.timestamp) - parseInt(chunk.timestamp)) / 1000;
+      if (gapSeconds > 0 && gapSeconds <= MAX_DERIVED_SEGMENT_SECONDS) {
+        durations.push(gapSeconds);
+        return;
+      }
+    }
+
+    durations.push(i > 0 ? durations[i - 1] : DEFAULT_SEGMENT_SECONDS);
+  });
+
+  return durations;
+};
+
+// Render a media playlist. chunks must be ordered by chunk_index.
+// options: { live, windowSize, segmentUri(chunk) }
+// Live playlists only list the last windowSize segments and have no ENDLIST tag.
+const renderMediaPlaylist = (chunks, { live, windowSize, segmentUri }) => {
+  const durations = chunkDurations(chunks);
+
+  // Segments after a chunkIndex gap start a new discontinuity
+  const discontinuities = chunks.map((chunk, i) => i > 0 && chunk.chunk_index !== chunks[i - 1].chunk_index + 1);
+
+  const firstSegment = live ? Math.max(chunks.length - windowSize, 0) : 0;
+  const discontinuitySequence = discontinuities.slice(0, firstSegment).filter(Boolean).length;
+  // Taken over the whole stream so it stays constant while a live playlist slides
+  const targetDuration = Math.ceil(durations.reduce((max, duration) => Math.max(max, duration), 1));
+
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    `#EXT-X-MEDIA-SEQUENCE:${firstSegment}`
+  ];
+
+  if (live) {
+    lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${discontinuitySequence}`);
+  } else {
+    lines.push('#EXT-X-PLAYLIST-TYPE:VOD');
+  }
+
+  for (let i = firstSegment; i < chunks.length; i++) {
+    if (discontinuities[i]) {
+      lines.push('#EXT-X-DISCONTINUITY');
+    }
+    lines.push(`#EXTINF:${durations[i].toFixed(3)},`);
+    lines.push(segmentUri(chunks[i]));
+  }
+
+  if (!live) {
+    lines.push('#EXT-X-ENDLIST');
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  renderMediaPlaylist
+};
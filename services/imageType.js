@@ -0,0 +1,19 @@
+// imageType.js - Detects uploaded image formats from their leading bytes (client mimetypes can't be trusted)
+
+// Returns { mimetype, extension } for JPEG, PNG and WebP images, or null for anything else
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { mimetype: 'image/jpeg', extension: '.jpg' };
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { mimetype: 'image/png', extension: '.png' };
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { mimetype: 'image/webp', extension: '.webp' };
+  }
+  return null;
+};
+
+module.exports = {
+  detectImageType
+};
@@ -5,8 +5,6 @@ const path = require('path');
 
 class MockIPFSService {
   constructor() {
-    this.chunkStore = new Map();
-    this.streamStore = new Map();
     this.mockStorage = new Map(); // Simulates IPFS content storage
     this.connected = true; // Always "connected" for mock
     this.nodeId = `mock-node-${crypto.randomBytes(4).toString('hex')}`;
@@ -91,7 +89,8 @@ class MockIPFSService {
       '.txt': 'text/plain',
       '.jpg': 'image/jpeg',
       '.jpeg': 'image/jpeg',
-      '.png': 'image/png'
+      '.png': 'image/png',
+      '.webp': 'image/webp'
     };
     
     return mimeTypes[ext] || 'application/octet-stream';
@@ -101,37 +100,16 @@ class MockIPFSService {
     try {
       console.log(`📤 Mock uploading chunk ${metadata.chunkIndex} for stream ${metadata.streamId}...`);
       
-      // Generate mock IPFS hash
-      const mockHash = this.generateMockHash(buffer);
-      
-      // Store the chunk data
-      await this.storeDataLocally(buffer, `chunk-${metadata.chunkIndex}-${metadata.streamId}.bin`);
-      
-      const chunkData = {
-        ipfsHash: mockHash,
-        streamId: metadata.streamId,
-        chunkIndex: metadata.chunkIndex,
-        timestamp: metadata.timestamp,
-        userId: metadata.userId,
-        size: buffer.length,
-        mimetype: metadata.mimetype || 'video/mp4',
-        uploadedAt: new Date().toISOString(),
-        isMock: true,
-        localPath: path.join(this.uploadsDir, `${mockHash}-chunk-${metadata.chunkIndex}-${metadata.streamId}.bin`)
-      };
-      
-      // Store chunk metadata
-      this.chunkStore.set(`${metadata.streamId}_${metadata.chunkIndex}`, chunkData);
-      
-      // Update stream metadata
-      await this.updateStreamChunks(metadata.streamId, chunkData);
+      // Store the chunk data under its mock IPFS hash
+      const mockHash = await this.storeDataLocally(buffer, `chunk-${metadata.chunkIndex}-${metadata.streamId}.bin`);
+      const uploadedAt = new Date().toISOString();
       
       console.log(`✅ Mock chunk uploaded: ${mockHash} (${buffer.length} bytes)`);
       
       return {
         hash: mockHash,
         size: buffer.length,
-        uploadedAt: chunkData.uploadedAt,
+        uploadedAt,
         isMock: true
       };
       
@@ -186,112 +164,73 @@ class MockIPFSService {
     }
   }
 
-  async getStreamChunks(streamId) {
+  async uploadBuffer(buffer, filename) {
     try {
-      const chunks = [];
-      for (const [key, chunkData] of this.chunkStore.entries()) {
-        if (chunkData.streamId === streamId) {
-          chunks.push(chunkData);
-        }
-      }
+      console.log(`📤 Mock uploading buffer: ${filename} (${buffer.length} bytes)`);
       
-      // Sort by chunk index
-      chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
+      const mockHash = await this.storeDataLocally(buffer, filename);
       
-      console.log(`📋 Retrieved ${chunks.length} chunks for stream ${streamId}`);
-      return chunks;
-    } catch (error) {
-      console.error('❌ Error retrieving stream chunks:', error);
-      throw new Error(`Failed to retrieve chunks: ${error.message}`);
-    }
-  }
-
-  async getStreamMetadata(streamId) {
-    try {
-      const metadata = this.streamStore.get(streamId) || null;
-      console.log(`📋 Retrieved metadata for stream ${streamId}:`, metadata ? 'Found' : 'Not found');
-      return metadata;
-    } catch (error) {
-      console.error('❌ Error retrieving stream metadata:', error);
-      throw new Error(`Failed to retrieve stream metadata: ${error.message}`);
-    }
-  }
-
-  async getUserStreams(userId) {
-    try {
-      const userStreams = [];
-      for (const [streamId, streamData] of this.streamStore.entries()) {
-        if (streamData.userId === userId && streamData.status !== 'deleted') {
-          userStreams.push(streamData);
-        }
-      }
+      console.log(`✅ Mock buffer uploaded: ${mockHash}`);
       
-      // Sort by creation date (newest first)
-      userStreams.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      return {
+        hash: mockHash,
+        size: buffer.length,
+        filename: filename,
+        uploadedAt: new Date().toISOString(),
+        isMock: true
+      };
       
-      console.log(`📋 Retrieved ${userStreams.length} streams for user ${userId}`);
-      return userStreams;
     } catch (error) {
-      console.error('❌ Error retrieving user streams:', error);
-      throw new Error(`Failed to retrieve user streams: ${error.message}`);
+      console.error('❌ Mock buffer upload error:', error);
+      throw new Error(`Mock buffer upload failed: ${error.message}`);
     }
   }
 
-  async updateStreamChunks(streamId, chunkData) {
+  // Publish a version of a stream's metadata document (from its streams row) and return the
+  // new hash. previousHash links the document to the version it replaces.
+  async publishStreamMetadata(stream, { version, previousHash }) {
+    return this.uploadJSON({
+      id: stream.id,
+      version,
+      previousHash: previousHash || null,
+      userId: stream.user_id,
+      title: stream.title,
+      description: stream.description || '',
+      tags: stream.tags || [],
+      category: stream.category || undefined,
+      thumbnailHash: stream.thumbnail_hash || undefined,
+      isPrivate: !!stream.is_private,
+      status: stream.status,
+      createdAt: stream.created_at,
+      scheduledFor: stream.scheduled_for || undefined,
+      startedAt: stream.started_at || undefined,
+      endedAt: stream.ended_at || undefined,
+      archivedAt: stream.archived_at || undefined,
+      deletedAt: stream.deleted_at || undefined,
+      deletedReason: stream.deleted_reason || undefined
+    });
+  }
+
+  // Look up stored content by hash: memory first, then the copy written to the uploads
+  // directory (which survives restarts). Returns { data, mimetype, size } or null.
+  async getContent(hash) {
     try {
-      let streamMetadata = this.streamStore.get(streamId);
-      
-      if (!streamMetadata) {
-        // Create new stream metadata
-        streamMetadata = {
-          id: streamId,
-          userId: chunkData.userId,
-          title: `Mock Stream ${streamId.slice(0, 8)}`,
-          description: 'Mock IPFS stream for testing',
-          createdAt: new Date().toISOString(),
-          status: 'active',
-          chunks: [],
-          isMock: true,
-          totalSize: 0,
-          duration: 0
-        };
+      const storedData = this.mockStorage.get(hash);
+      if (storedData) {
+        return { data: storedData.data, mimetype: storedData.mimetype, size: storedData.size };
       }
       
-      // Add or update chunk
-      const existingChunkIndex = streamMetadata.chunks.findIndex(
-        c => c.chunkIndex === chunkData.chunkIndex
-      );
-      
-      if (existingChunkIndex >= 0) {
-        // Update existing chunk
-        const oldSize = streamMetadata.chunks[existingChunkIndex].size;
-        streamMetadata.chunks[existingChunkIndex] = chunkData;
-        streamMetadata.totalSize = streamMetadata.totalSize - oldSize + chunkData.size;
-      } else {
-        // Add new chunk
-        streamMetadata.chunks.push(chunkData);
-        streamMetadata.totalSize += chunkData.size;
+      const filename = (await fs.promises.readdir(this.uploadsDir)).find(file => file.startsWith(`${hash}-`));
+      if (!filename) {
+        return null;
       }
       
-      // Sort chunks by index
-      streamMetadata.chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
+      const data = await fs.promises.readFile(path.join(this.uploadsDir, filename));
+      return { data, mimetype: this.guessMimeType(filename), size: data.length };
       
-      // Update metadata
-      streamMetadata.lastModified = new Date().toISOString();
-      streamMetadata.chunkCount = streamMetadata.chunks.length;
-      
-      // Estimate duration (assuming ~1 second per chunk)
-      streamMetadata.duration = streamMetadata.chunks.length;
-      
-      // Store updated metadata
-      this.streamStore.set(streamId, streamMetadata);
-      
-      console.log(`📝 Updated stream ${streamId}: ${streamMetadata.chunks.length} chunks, ${streamMetadata.totalSize} bytes`);
-      
-      return streamMetadata;
     } catch (error) {
-      console.error('❌ Error updating stream chunks:', error);
-      throw new Error(`Failed to update stream: ${error.message}`);
+      console.error('❌ Mock content lookup error:', error);
+      return null;
     }
   }
 
@@ -392,38 +331,28 @@ class MockIPFSService {
       
       let cleanedCount = 0;
       
-      // Clean up chunk store
-      for (const [key, chunkData] of this.chunkStore.entries()) {
-        const chunkDate = new Date(chunkData.uploadedAt);
+      // Clean up unpinned mock storage and its local files
+      for (const [hash, data] of this.mockStorage.entries()) {
+        const dataDate = new Date(data.storedAt);
         
-        if (chunkDate < cutoffDate) {
-          // Remove from mock storage
-          this.mockStorage.delete(chunkData.ipfsHash);
-          
-          // Remove local file if it exists
-          if (chunkData.localPath && fs.existsSync(chunkData.localPath)) {
-            try {
-              fs.unlinkSync(chunkData.localPath);
-            } catch (err) {
-              console.log(`⚠️ Could not delete local file: ${chunkData.localPath}`);
+        if (dataDate < cutoffDate && !data.pinned) {
+          if (data.filename) {
+            const localPath = path.join(this.uploadsDir, `${hash}-${data.filename}`);
+            if (fs.existsSync(localPath)) {
+              try {
+                fs.unlinkSync(localPath);
+              } catch (err) {
+                console.log(`⚠️ Could not delete local file: ${localPath}`);
+              }
             }
           }
           
-          // Remove from chunk store
-          this.chunkStore.delete(key);
-          cleanedCount++;
-        }
-      }
-      
-      // Clean up orphaned mock storage
-      for (const [hash, data] of this.mockStorage.entries()) {
-        const dataDate = new Date(data.storedAt);
-        if (dataDate < cutoffDate) {
           this.mockStorage.delete(hash);
+          cleanedCount++;
         }
       }
       
-      console.log(`🧹 Mock cleanup completed: ${cleanedCount} chunks removed`);
+      console.log(`🧹 Mock cleanup completed: ${cleanedCount} items removed`);
       return cleanedCount;
     } catch (error) {
       console.error('❌ Error during mock cleanup:', error);
@@ -432,26 +361,14 @@ class MockIPFSService {
   }
 
   getStorageStats() {
-    const totalChunks = this.chunkStore.size;
-    const totalStreams = this.streamStore.size;
     const totalMockData = this.mockStorage.size;
     
     let totalSize = 0;
     let pinnedCount = 0;
-    const chunksByStream = new Map();
-    
-    // Calculate chunk statistics
-    for (const [key, chunkData] of this.chunkStore.entries()) {
-      totalSize += chunkData.size;
-      
-      if (!chunksByStream.has(chunkData.streamId)) {
-        chunksByStream.set(chunkData.streamId, 0);
-      }
-      chunksByStream.set(chunkData.streamId, chunksByStream.get(chunkData.streamId) + 1);
-    }
     
-    // Count pinned items
     for (const [hash, data] of this.mockStorage.entries()) {
+      totalSize += data.size;
+      
       if (data.pinned) {
         pinnedCount++;
       }
@@ -460,13 +377,10 @@ class MockIPFSService {
     return {
       connected: this.connected,
       isMock: true,
-      totalChunks,
-      totalStreams,
       totalMockData,
       totalSize,
       pinnedCount,
-      averageChunkSize: totalChunks > 0 ? Math.round(totalSize / totalChunks) : 0,
-      chunksPerStream: totalStreams > 0 ? Math.round(totalChunks / totalStreams) : 0,
+      averageItemSize: totalMockData > 0 ? Math.round(totalSize / totalMockData) : 0,
       uploadsDirectory: this.uploadsDir,
       memoryUsage: process.memoryUsage(),
       nodeId: this.nodeId
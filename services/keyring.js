@@ -0,0 +1,256 @@
+// keyring.js - Asymmetric JWT signing keys (EdDSA, RS256, ES256) with rotation and JWKS publishing
+//
+// Keys are PEM files in JWT_KEYS_DIR (default ./keys), named <kid>.pem. Private keys can sign,
+// public-only keys can just verify. The active signing key is JWT_ACTIVE_KID, or the last private
+// key in filename order whose file is older than JWT_KEY_ACTIVATION_DELAY, so timestamp-named files
+// (as `npm run keys:generate` writes them) rotate by adding a new file: every instance picks the
+// key up on its next reload (every JWT_KEYS_RELOAD_INTERVAL, or on SIGHUP) and publishes it in the
+// JWKS before any instance signs with it.
+// Retired keys stay in the directory until every token they signed has expired.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ms = require('ms');
+
+const { JsonWebTokenError, TokenExpiredError, NotBeforeError } = jwt;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const KEY_ACTIVATION_DELAY_MS = ms(process.env.JWT_KEY_ACTIVATION_DELAY || '1h');
+const KEYS_RELOAD_INTERVAL_MS = ms(process.env.JWT_KEYS_RELOAD_INTERVAL || '5m');
+
+class KeyRingService {
+  constructor() {
+    this.keysDirectory = path.resolve(process.env.JWT_KEYS_DIR || './keys');
+    this.legacySecret = process.env.JWT_SECRET;
+    this.keys = new Map();
+    this.activeKey = null;
+    this.isLoaded = false;
+
+    this.load();
+    this.startReloading();
+  }
+
+  // Work out the JWS algorithm for a key, or null if the key type isn't supported
+  algorithmFor(keyObject) {
+    const type = keyObject.asymmetricKeyType;
+
+    if (type === 'ed25519') return 'EdDSA';
+    if (type === 'rsa') return 'RS256';
+    if (type === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') return 'ES256';
+    return null;
+  }
+
+  // (Re)load every key from disk
+  load() {
+    const keys = new Map();
+
+    const files = fs.existsSync(this.keysDirectory)
+      ? fs.readdirSync(this.keysDirectory).filter(file => file.endsWith('.pem')).sort()
+      : [];
+
+    for (const file of files) {
+      const kid = path.basename(file, '.pem');
+      const filePath = path.join(this.keysDirectory, file);
+      const pem = fs.readFileSync(filePath, 'utf8');
+      const publishedAt = fs.statSync(filePath).mtimeMs;
+
+      try {
+        const privateKey = pem.includes('PRIVATE KEY') ? crypto.createPrivateKey(pem) : null;
+        const publicKey = crypto.createPublicKey(privateKey || pem);
+        const alg = this.algorithmFor(publicKey);
+
+        if (!alg) {
+          console.warn(`⚠️ Skipping JWT key ${file}: use Ed25519, RSA or P-256 keys`);
+          continue;
+        }
+
+        keys.set(kid, { kid, alg, privateKey, publicKey, publishedAt });
+      } catch (error) {
+        console.error(`❌ Could not load JWT key ${file}:`, error.message);
+      }
+    }
+
+    // New keys only sign once other instances have had time to load and publish them. If none
+    // has been around that long (a fresh keys directory), the oldest key signs meanwhile.
+    const signingKeys = [...keys.values()].filter(key => key.privateKey);
+    const publishedKeys = signingKeys.filter(key => key.publishedAt <= Date.now() - KEY_ACTIVATION_DELAY_MS);
+    const activeKid = process.env.JWT_ACTIVE_KID ||
+      (publishedKeys.length > 0 ? publishedKeys : signingKeys.slice(0, 1)).map(key => key.kid).pop();
+    const activeKey = activeKid ? keys.get(activeKid) : null;
+
+    if (activeKid && (!activeKey || !activeKey.privateKey)) {
+      throw new Error(`Active JWT key "${activeKid}" has no private key in ${this.keysDirectory}`);
+    }
+
+    const previousKid = this.activeKey ? this.activeKey.kid : null;
+    const changed = !this.isLoaded || previousKid !== (activeKey ? activeKey.kid : null) || this.keys.size !== keys.size;
+    this.keys = keys;
+    this.activeKey = activeKey;
+    this.isLoaded = true;
+
+    if (!changed) return;
+
+    if (activeKey) {
+      console.log(`🔐 JWT key ring loaded - signing with ${activeKey.kid} (${activeKey.alg}), ${keys.size} key(s) trusted`);
+    } else {
+      console.warn('⚠️ No JWT signing keys found - falling back to HS256 with JWT_SECRET');
+    }
+  }
+
+  // Reload the keys, keeping the current ones if the directory can't be loaded
+  reload() {
+    try {
+      this.load();
+    } catch (error) {
+      console.error('❌ Could not reload JWT keys, keeping the current key ring:', error.message);
+    }
+  }
+
+  startReloading() {
+    // Pick up added and retired keys, and activate new keys once their delay has passed.
+    // unref() so scripts that only generate a key can exit.
+    setInterval(() => this.reload(), KEYS_RELOAD_INTERVAL_MS).unref();
+    process.on('SIGHUP', () => {
+      console.log('💡 Received SIGHUP, reloading JWT keys');
+      this.reload();
+    });
+  }
+
+  // HS256 tokens are trusted while no asymmetric key is configured, or during a migration
+  // window (JWT_ACCEPT_LEGACY_HS256=true) so tokens issued before the switch keep working
+  acceptsLegacyTokens() {
+    return !!this.legacySecret && (!this.activeKey || process.env.JWT_ACCEPT_LEGACY_HS256 === 'true');
+  }
+
+  // Sign a payload with the active key. options: { expiresIn } (ms-style string or seconds)
+  sign(payload, { expiresIn }) {
+    if (!this.activeKey) {
+      return jwt.sign(payload, this.legacySecret, { expiresIn });
+    }
+
+    const { kid, alg, privateKey } = this.activeKey;
+
+    if (alg !== 'EdDSA') {
+      return jwt.sign(payload, privateKey, { algorithm: alg, keyid: kid, expiresIn });
+    }
+
+    // jsonwebtoken has no EdDSA support, so Ed25519 tokens are assembled here
+    const now = Math.floor(Date.now() / 1000);
+    const lifetime = typeof expiresIn === 'string' ? Math.floor(ms(expiresIn) / 1000) : expiresIn;
+    const header = { alg, typ: 'JWT', kid };
+    const claims = { ...payload, iat: now, exp: now + lifetime };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url');
+
+    return `${signingInput}.${signature}`;
+  }
+
+  // Verify a token against any trusted key. Calls back with the same error types as jwt.verify.
+  verify(token, callback) {
+    try {
+      callback(null, this.verifySync(token));
+    } catch (error) {
+      callback(error, null);
+    }
+  }
+
+  verifySync(token) {
+    const decoded = typeof token === 'string' ? jwt.decode(token, { complete: true }) : null;
+    if (!decoded) {
+      throw new JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid, alg } = decoded.header;
+
+    if (!kid) {
+      if (!this.acceptsLegacyTokens()) {
+        throw new JsonWebTokenError('jwt key id missing');
+      }
+      return jwt.verify(token, this.legacySecret, { algorithms: ['HS256'] });
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new JsonWebTokenError('jwt signed with an unknown key');
+    }
+
+    if (alg !== key.alg) {
+      throw new JsonWebTokenError('invalid algorithm');
+    }
+
+    if (alg !== 'EdDSA') {
+      return jwt.verify(token, key.publicKey, { algorithms: [alg] });
+    }
+
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      key.publicKey,
+      Buffer.from(signature || '', 'base64url')
+    );
+
+    if (!valid) {
+      throw new JsonWebTokenError('invalid signature');
+    }
+
+    const claims = decoded.payload;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof claims.nbf === 'number' && claims.nbf > now) {
+      throw new NotBeforeError('jwt not active', new Date(claims.nbf * 1000));
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp <= now) {
+      throw new TokenExpiredError('jwt expired', new Date((claims.exp || 0) * 1000));
+    }
+
+    return claims;
+  }
+
+  // Public keys for GET /.well-known/jwks.json (active and retired keys alike)
+  getJwks() {
+    return {
+      keys: [...this.keys.values()].map(({ kid, alg, publicKey }) => ({
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg,
+        use: 'sig'
+      }))
+    };
+  }
+
+  // Write a new private key to the keys directory (used by `npm run keys:generate`)
+  generateKeyFile(alg = 'EdDSA') {
+    const options = {
+      EdDSA: ['ed25519', {}],
+      RS256: ['rsa', { modulusLength: 2048 }],
+      ES256: ['ec', { namedCurve: 'prime256v1' }]
+    }[alg];
+
+    if (!options) {
+      throw new Error(`Unsupported algorithm ${alg}: use EdDSA, RS256 or ES256`);
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync(options[0], options[1]);
+    // Fixed-width UTC timestamp (e.g. 2026-10-19T18-26-03-123Z) so filename order is creation order
+    const kid = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(this.keysDirectory, `${kid}.pem`);
+
+    fs.mkdirSync(this.keysDirectory, { recursive: true });
+    fs.writeFileSync(filePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    console.log(`🔑 Generated ${alg} key ${kid} at ${filePath}`);
+    if (process.env.JWT_ACTIVE_KID) {
+      console.log(`⚠️ JWT_ACTIVE_KID=${process.env.JWT_ACTIVE_KID} is set: change it to ${kid} to sign with the new key`);
+    } else if ([...this.keys.values()].some(key => key.privateKey)) {
+      console.log(`⏳ ${kid} starts signing ${ms(KEY_ACTIVATION_DELAY_MS, { long: true })} from now, once every instance publishes it`);
+    }
+    return kid;
+  }
+}
+
+// Export as singleton
+module.exports = new KeyRingService();
@@ -0,0 +1,168 @@
+// mailer.js - Templated email delivery through a persisted outbox with retry/backoff
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const { EmailOutboxModel } = require('../models/user');
+const { renderTemplate } = require('./emailTemplates');
+
+const enqueueMessage = promisify(EmailOutboxModel.enqueue);
+const claimDueMessages = promisify(EmailOutboxModel.claimDue);
+const markMessageSent = promisify(EmailOutboxModel.markSent);
+const markMessageFailed = promisify(EmailOutboxModel.markFailed);
+const findMessagesByStatus = promisify(EmailOutboxModel.findByStatus);
+const requeueMessage = promisify(EmailOutboxModel.requeue);
+const getOutboxStats = promisify(EmailOutboxModel.getStats);
+
+class MailerService {
+  constructor() {
+    // 'smtp' (default) or 'file', which writes each message as JSON for development and tests
+    this.transportType = process.env.MAIL_TRANSPORT || 'smtp';
+    this.fileDirectory = path.resolve(process.env.MAIL_FILE_DIR || './tmp/mail');
+    this.from = `"${process.env.FROM_NAME || 'zipIQ'}" <${process.env.FROM_EMAIL}>`;
+
+    this.maxAttempts = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 8;
+    this.retryBaseSeconds = 60; // doubles after every failed attempt...
+    this.retryMaxSeconds = 60 * 60; // ...up to an hour between attempts
+    this.batchSize = 20;
+    this.isProcessing = false;
+
+    this.transporter = this.createTransport();
+
+    console.log(`✉️ Mailer Service initialized - ${this.transportType} transport`);
+
+    this.startOutboxProcessor();
+  }
+
+  // Build the transport once (the SMTP transport keeps a connection pool)
+  createTransport() {
+    if (this.transportType === 'file') {
+      return { sendMail: (message) => this.writeMessageFile(message) };
+    }
+
+    return nodemailer.createTransport({
+      pool: true,
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT),
+      secure: false,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+
+  // File transport: one JSON file per message
+  async writeMessageFile(message) {
+    await fs.mkdir(this.fileDirectory, { recursive: true });
+
+    const messageId = `${Date.now()}-${message.outboxId}`;
+    const filePath = path.join(this.fileDirectory, `${messageId}.json`);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { messageId, path: filePath };
+  }
+
+  // Render a template and queue it for delivery. Resolves once the message is safely
+  // in the outbox; delivery (and any retries) happen in the background.
+  async send(template, to, data = {}) {
+    const { subject, html, text } = renderTemplate(template, data);
+
+    const message = await enqueueMessage({
+      id: uuidv4(),
+      template,
+      recipient: to,
+      subject,
+      html,
+      text,
+      sendNow: true
+    });
+
+    this.deliver(message).catch(error => {
+      console.error(`❌ Unexpected error delivering email ${message.id}:`, error);
+    });
+
+    return { id: message.id, status: 'queued' };
+  }
+
+  // Attempt delivery of a claimed outbox message and record the outcome
+  async deliver(message) {
+    try {
+      await this.transporter.sendMail({
+        outboxId: message.id,
+        from: this.from,
+        to: message.recipient,
+        subject: message.subject,
+        html: message.html,
+        text: message.text_body
+      });
+
+      await markMessageSent(message.id);
+      console.log(`✅ Email "${message.template}" sent to ${message.recipient}`);
+      return 'sent';
+
+    } catch (error) {
+      const retry = message.attempts < this.maxAttempts;
+      const delaySeconds = Math.min(
+        this.retryBaseSeconds * Math.pow(2, message.attempts - 1),
+        this.retryMaxSeconds
+      );
+      const nextAttemptAt = retry ? new Date(Date.now() + delaySeconds * 1000) : null;
+
+      await markMessageFailed(message.id, error.message, nextAttemptAt);
+
+      if (retry) {
+        console.error(`⚠️ Email "${message.template}" to ${message.recipient} failed (attempt ${message.attempts}), retrying in ${delaySeconds}s:`, error.message);
+        return 'pending';
+      }
+
+      console.error(`❌ Email "${message.template}" to ${message.recipient} failed permanently after ${message.attempts} attempts:`, error.message);
+      return 'failed';
+    }
+  }
+
+  // Deliver queued messages that are due for another attempt
+  async processOutbox() {
+    this.isProcessing = true;
+
+    try {
+      const messages = await claimDueMessages(this.batchSize);
+
+      for (const message of messages) {
+        await this.deliver(message);
+      }
+    } catch (error) {
+      console.error('❌ Error processing email outbox:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  startOutboxProcessor() {
+    // Process outbox every 30 seconds
+    setInterval(() => {
+      if (!this.isProcessing) {
+        this.processOutbox();
+      }
+    }, 30000);
+
+    console.log('🔄 Email outbox processor started (30s interval)');
+  }
+
+  // Admin helpers
+  async getMessages(status = 'failed', limit = 50) {
+    return findMessagesByStatus(status, limit);
+  }
+
+  async retry(id) {
+    return requeueMessage(id);
+  }
+
+  async getStats() {
+    return getOutboxStats();
+  }
+}
+
+// Export as singleton
+module.exports = new MailerService();
@@ -0,0 +1,159 @@
+// siwe.js - Sign-In with Ethereum (EIP-4361) message parsing and offline signature verification
+const { verifyMessage, getAddress } = require('ethers');
+const { createError } = require('./errors');
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Optional fields in the order EIP-4361 lists them after the statement
+const FIELD_NAMES = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+class SIWEService {
+  constructor() {
+    this.clockSkewMs = 5 * 60 * 1000; // tolerate 5 minutes of client clock drift
+  }
+
+  // Parse an EIP-4361 message into its fields. Throws on malformed input.
+  parseMessage(message) {
+    if (typeof message !== 'string' || message.length === 0) {
+      throw createError('SIWE message is required', 'SIWE_MESSAGE_INVALID');
+    }
+
+    const lines = message.split('\n');
+
+    if (!lines[0].endsWith(HEADER_SUFFIX)) {
+      throw createError('Malformed SIWE message header', 'SIWE_MESSAGE_INVALID');
+    }
+
+    // The domain may carry a scheme prefix (e.g. "https://zipiq.com")
+    const authority = lines[0].slice(0, -HEADER_SUFFIX.length);
+    const domain = authority.replace(/^[a-zA-Z][a-zA-Z0-9+\-.]*:\/\//, '');
+
+    const address = lines[1];
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address || '')) {
+      throw createError('Malformed SIWE message address', 'SIWE_MESSAGE_INVALID');
+    }
+
+    const uriIndex = lines.findIndex(line => line.startsWith('URI: '));
+    if (uriIndex === -1) {
+      throw createError('SIWE message is missing URI', 'SIWE_MESSAGE_INVALID');
+    }
+
+    const statement = lines.slice(2, uriIndex).filter(line => line.length > 0).join('\n') || null;
+
+    const fields = {};
+    const resources = [];
+    let inResources = false;
+
+    for (const line of lines.slice(uriIndex)) {
+      if (inResources) {
+        if (line.startsWith('- ')) {
+          resources.push(line.slice(2));
+          continue;
+        }
+        throw createError('Malformed SIWE resources list', 'SIWE_MESSAGE_INVALID');
+      }
+
+      if (line === 'Resources:') {
+        inResources = true;
+        continue;
+      }
+
+      const separator = line.indexOf(': ');
+      const key = separator > 0 ? FIELD_NAMES[line.slice(0, separator)] : null;
+      if (!key || fields[key] !== undefined) {
+        throw createError(`Unexpected SIWE message line: ${line}`, 'SIWE_MESSAGE_INVALID');
+      }
+      fields[key] = line.slice(separator + 2);
+    }
+
+    if (fields.version !== '1') {
+      throw createError('Unsupported SIWE message version', 'SIWE_MESSAGE_INVALID');
+    }
+
+    if (!/^\d+$/.test(fields.chainId || '')) {
+      throw createError('SIWE message has an invalid chain ID', 'SIWE_MESSAGE_INVALID');
+    }
+
+    if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce || '')) {
+      throw createError('SIWE message has an invalid nonce', 'SIWE_MESSAGE_INVALID');
+    }
+
+    for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+      if (fields[key] !== undefined && isNaN(Date.parse(fields[key]))) {
+        throw createError(`SIWE message has an invalid ${key}`, 'SIWE_MESSAGE_INVALID');
+      }
+    }
+
+    if (!fields.issuedAt) {
+      throw createError('SIWE message is missing Issued At', 'SIWE_MESSAGE_INVALID');
+    }
+
+    return {
+      domain,
+      address,
+      statement,
+      uri: fields.uri,
+      version: fields.version,
+      chainId: parseInt(fields.chainId),
+      nonce: fields.nonce,
+      issuedAt: fields.issuedAt,
+      expirationTime: fields.expirationTime || null,
+      notBefore: fields.notBefore || null,
+      requestId: fields.requestId || null,
+      resources
+    };
+  }
+
+  // Verify a signed message against the expected domain(s) and the clock.
+  // Recovery is pure ECDSA (EIP-191 personal_sign) - no RPC provider is contacted.
+  // The caller is responsible for checking and consuming the nonce.
+  verify(message, signature, { domains, chainIds = null, now = Date.now() }) {
+    const parsed = this.parseMessage(message);
+
+    if (!domains.includes(parsed.domain)) {
+      throw createError('SIWE message domain does not match', 'SIWE_DOMAIN_MISMATCH');
+    }
+
+    if (chainIds && !chainIds.includes(parsed.chainId)) {
+      throw createError('SIWE message chain is not supported', 'SIWE_CHAIN_UNSUPPORTED');
+    }
+
+    if (Date.parse(parsed.issuedAt) > now + this.clockSkewMs) {
+      throw createError('SIWE message was issued in the future', 'SIWE_MESSAGE_NOT_YET_VALID');
+    }
+
+    if (parsed.notBefore && Date.parse(parsed.notBefore) > now + this.clockSkewMs) {
+      throw createError('SIWE message is not yet valid', 'SIWE_MESSAGE_NOT_YET_VALID');
+    }
+
+    if (parsed.expirationTime && Date.parse(parsed.expirationTime) <= now) {
+      throw createError('SIWE message has expired', 'SIWE_MESSAGE_EXPIRED');
+    }
+
+    let recoveredAddress;
+    try {
+      recoveredAddress = verifyMessage(message, signature);
+    } catch (error) {
+      throw createError('Invalid SIWE signature', 'SIWE_SIGNATURE_INVALID');
+    }
+
+    const claimedAddress = getAddress(parsed.address.toLowerCase());
+    if (recoveredAddress !== claimedAddress) {
+      throw createError('SIWE signature does not match address', 'SIWE_SIGNATURE_INVALID');
+    }
+
+    return { ...parsed, address: claimedAddress };
+  }
+}
+
+// Export as singleton
+module.exports = new SIWEService();
@@ -0,0 +1,265 @@
+// streamExport.js - Assembles a stream's chunks into one downloadable file through a persisted job queue
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { ChunkModel, StreamExportModel } = require('../models/user');
+const IPFSService = require('./ipfs');
+const ArweaveService = require('./arweave');
+const { createError } = require('./errors');
+
+const findStreamChunks = promisify(ChunkModel.findByStreamId);
+const claimNextExport = promisify(StreamExportModel.claimNext);
+const completeExport = promisify(StreamExportModel.complete);
+const failExport = promisify(StreamExportModel.fail);
+const cleanupExpiredExports = promisify(StreamExportModel.cleanupExpired);
+
+// Output formats: MPEG-TS and fragmented MP4 chunks can be concatenated as they are,
+// anything else is bundled into a tar of the individual chunks
+const EXPORT_FORMATS = {
+  ts: { extension: 'ts', mimetype: 'video/mp2t' },
+  mp4: { extension: 'mp4', mimetype: 'video/mp4' },
+  tar: { extension: 'tar', mimetype: 'application/x-tar' }
+};
+
+// File extensions for chunks inside tar exports
+const CHUNK_EXTENSIONS = {
+  'video/mp2t': '.ts',
+  'video/mp4': '.mp4',
+  'video/iso.segment': '.m4s',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm'
+};
+
+// Boxes a media segment of fragmented MP4 can start with (the init segment starts with ftyp)
+const MP4_FRAGMENT_BOXES = ['styp', 'sidx', 'moof', 'emsg', 'prft'];
+
+// Stored exports are uploaded from memory, so only files up to this size can be stored
+const MAX_STORED_EXPORT_SIZE = (parseInt(process.env.EXPORT_MAX_STORED_SIZE_MB) || 200) * 1024 * 1024;
+
+const MPEG_TS_SYNC_BYTE = 0x47;
+const TAR_BLOCK_SIZE = 512;
+
+// Build a ustar header block for a regular file
+const tarHeader = (name, size, modifiedAt) => {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100, 8, 'ascii');
+  header.write(octal(0, 8), 108, 8, 'ascii');
+  header.write(octal(0, 8), 116, 8, 'ascii');
+  header.write(octal(size, 12), 124, 12, 'ascii');
+  header.write(octal(Math.floor(modifiedAt.getTime() / 1000), 12), 136, 12, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  // The checksum is computed with its own field filled with spaces
+  header.write(' '.repeat(8), 148, 8, 'ascii');
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+  return header;
+};
+
+class StreamExportService {
+  constructor() {
+    this.exportsDir = path.resolve(process.env.EXPORTS_DIR || './tmp/exports');
+    this.maxStoredSize = MAX_STORED_EXPORT_SIZE;
+    this.isProcessing = false;
+
+    fs.mkdirSync(this.exportsDir, { recursive: true });
+
+    this.startQueueProcessor();
+  }
+
+  formatInfo(format) {
+    return EXPORT_FORMATS[format];
+  }
+
+  // Where a completed job's file is kept
+  filePath(job) {
+    return path.join(this.exportsDir, `${job.id}.${EXPORT_FORMATS[job.format].extension}`);
+  }
+
+  // Read a chunk's bytes from IPFS, falling back to its Arweave copy
+  async readChunkData(chunk) {
+    const content = await IPFSService.getContent(chunk.ipfs_hash);
+    if (content) {
+      return content.data;
+    }
+
+    if (chunk.arweave_tx_id) {
+      return Buffer.from(await ArweaveService.getTransactionData(chunk.arweave_tx_id));
+    }
+
+    throw createError(`Chunk ${chunk.chunk_index} is not available from storage`, 'CHUNK_CONTENT_UNAVAILABLE');
+  }
+
+  // Pick the concatenation format from the chunks' content types ('tar' if they can't be joined)
+  detectFormat(chunks) {
+    const mimetypes = new Set(chunks.map(chunk => chunk.mimetype));
+
+    if (mimetypes.size === 1 && mimetypes.has('video/mp2t')) return 'ts';
+    if ([...mimetypes].every(mimetype => ['video/mp4', 'video/iso.segment'].includes(mimetype))) return 'mp4';
+    return 'tar';
+  }
+
+  // Check a chunk's leading bytes really fit the concatenation format: TS packets, or an
+  // fMP4 init segment followed by media segments that don't repeat it
+  canConcatenate(format, data, position) {
+    if (format === 'ts') {
+      return data.length > 0 && data[0] === MPEG_TS_SYNC_BYTE;
+    }
+
+    const boxType = data.length >= 8 ? data.toString('ascii', 4, 8) : null;
+    return position === 0 ? boxType === 'ftyp' : MP4_FRAGMENT_BOXES.includes(boxType);
+  }
+
+  // Write chunks to the file one at a time (only one chunk is held in memory)
+  async writeFile(filePath, chunks, format) {
+    const output = fs.createWriteStream(filePath);
+    const write = (buffer) => new Promise((resolve, reject) => {
+      output.write(buffer, (error) => (error ? reject(error) : resolve()));
+    });
+
+    try {
+      let size = 0;
+
+      for (const [position, chunk] of chunks.entries()) {
+        const data = await this.readChunkData(chunk);
+
+        if (format === 'tar') {
+          const name = `chunk-${String(chunk.chunk_index).padStart(6, '0')}${CHUNK_EXTENSIONS[chunk.mimetype] || '.bin'}`;
+          const padding = (TAR_BLOCK_SIZE - (data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+          await write(tarHeader(name, data.length, new Date(chunk.uploaded_at)));
+          await write(data);
+          await write(Buffer.alloc(padding));
+          size += TAR_BLOCK_SIZE + data.length + padding;
+        } else {
+          if (!this.canConcatenate(format, data, position)) {
+            throw createError(`Chunk ${chunk.chunk_index} can't be concatenated as ${format}`, 'NOT_CONCATENABLE');
+          }
+          await write(data);
+          size += data.length;
+        }
+      }
+
+      // A tar archive ends with two empty blocks
+      if (format === 'tar') {
+        await write(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+        size += TAR_BLOCK_SIZE * 2;
+      }
+
+      await new Promise((resolve, reject) => output.end((error) => (error ? reject(error) : resolve())));
+      return size;
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+  }
+
+  // Assemble one claimed job, then optionally store the file through IPFS and queue it for Arweave
+  async run(job) {
+    const chunks = await findStreamChunks(job.stream_id);
+    if (chunks.length === 0) {
+      throw createError('Stream has no chunks to export', 'NO_CHUNKS');
+    }
+
+    const chunksSize = chunks.reduce((total, chunk) => total + parseInt(chunk.size), 0);
+    if (job.store_permanently && chunksSize > this.maxStoredSize) {
+      throw createError(`Stream is too large to store permanently (${chunksSize} bytes)`, 'EXPORT_TOO_LARGE');
+    }
+
+    let format = job.requested_format === 'tar' ? 'tar' : this.detectFormat(chunks);
+    const partialPath = path.join(this.exportsDir, `${job.id}.partial`);
+    let size;
+
+    try {
+      size = await this.writeFile(partialPath, chunks, format);
+    } catch (error) {
+      if (error.code !== 'NOT_CONCATENABLE') throw error;
+
+      console.log(`📼 Export ${job.id}: ${error.message}, falling back to tar`);
+      format = 'tar';
+      size = await this.writeFile(partialPath, chunks, format);
+    }
+
+    const filePath = this.filePath({ id: job.id, format });
+    await fs.promises.rename(partialPath, filePath);
+
+    let ipfsHash = null;
+    if (job.store_permanently) {
+      const data = await fs.promises.readFile(filePath);
+      const uploadResult = await IPFSService.uploadBuffer(data, `export-${job.stream_id}.${EXPORT_FORMATS[format].extension}`);
+      ipfsHash = uploadResult.hash;
+
+      await ArweaveService.queueForArchival({
+        exportId: job.id,
+        contentType: EXPORT_FORMATS[format].mimetype,
+        data,
+        ipfsHash,
+        streamId: job.stream_id,
+        timestamp: Date.now(),
+        userId: job.user_id
+      });
+    }
+
+    await completeExport(job.id, { format, size, chunkCount: chunks.length, ipfsHash });
+    console.log(`✅ Export ${job.id} of stream ${job.stream_id} completed: ${format}, ${size} bytes, ${chunks.length} chunks`);
+  }
+
+  // Run pending jobs one after another until the queue is empty
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let job;
+      while ((job = await claimNextExport())) {
+        try {
+          await this.run(job);
+        } catch (error) {
+          console.error(`❌ Export ${job.id} of stream ${job.stream_id} failed:`, error);
+          await fs.promises.rm(path.join(this.exportsDir, `${job.id}.partial`), { force: true });
+          await failExport(job.id, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error processing stream exports:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Delete expired jobs, then every file in the exports directory older than the retention period
+  async cleanupExpired(retentionDays) {
+    const deletedJobs = await cleanupExpiredExports(retentionDays);
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let deletedFiles = 0;
+
+    for (const file of await fs.promises.readdir(this.exportsDir)) {
+      const filePath = path.join(this.exportsDir, file);
+      const stats = await fs.promises.stat(filePath);
+
+      if (stats.isFile() && stats.mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+        deletedFiles++;
+      }
+    }
+
+    return { deletedJobs, deletedFiles };
+  }
+
+  startQueueProcessor() {
+    // Pick up jobs left over from a restart every 30 seconds (new jobs start right away)
+    setInterval(() => {
+      this.processQueue();
+    }, 30000);
+
+    console.log('🔄 Stream export processor started (30s interval)');
+  }
+}
+
+// Export as singleton
+module.exports = new StreamExportService();
@@ -0,0 +1,103 @@
+// streamLifecycle.js - Stream state machine: validated transitions, timestamps and Socket.IO events
+const { promisify } = require('util');
+const { StreamModel, ChunkModel } = require('../models/user');
+const StreamMetadataService = require('./streamMetadata');
+const { createError } = require('./errors');
+
+const transitionStream = promisify(StreamModel.transition);
+const findStream = promisify(StreamModel.findById);
+const getChunkStats = promisify(ChunkModel.getStreamStats);
+
+// Allowed transitions. 'created' streams can be ended directly for clients that upload without going live.
+const STREAM_TRANSITIONS = {
+  scheduled: ['live', 'deleted'],
+  created: ['live', 'ended', 'deleted'],
+  live: ['ended', 'deleted'],
+  ended: ['archived', 'deleted'],
+  archived: ['deleted'],
+  deleted: []
+};
+
+// Chunks can only be added until the stream ends
+const UPLOADABLE_STATUSES = ['scheduled', 'created', 'live'];
+
+class StreamLifecycleService {
+  constructor() {
+    this.io = null;
+  }
+
+  // Socket.IO server used to notify the stream's room (set up in server.js)
+  attach(io) {
+    this.io = io;
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return (STREAM_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  canUpload(stream) {
+    return UPLOADABLE_STATUSES.includes(stream.status);
+  }
+
+  // Move a stream (as loaded by the caller) to a new status. Rejects transitions the state
+  // machine doesn't allow and streams whose status changed since they were loaded.
+  async transition(stream, toStatus, { reason } = {}) {
+    if (!this.canTransition(stream.status, toStatus)) {
+      throw createError(`Cannot move a ${stream.status} stream to ${toStatus}`, 'INVALID_STREAM_TRANSITION');
+    }
+
+    let updated = await transitionStream(stream.id, stream.status, toStatus, reason);
+    if (!updated) {
+      throw createError('Stream status changed, please retry', 'STREAM_STATUS_CONFLICT');
+    }
+
+    console.log(`📺 Stream ${stream.id}: ${stream.status} -> ${toStatus}`);
+
+    // Publish metadata reflecting the new status (a failure here doesn't undo the transition)
+    try {
+      updated = await StreamMetadataService.publish(updated, { change: 'status' });
+    } catch (error) {
+      console.error(`❌ Failed to publish metadata for stream ${stream.id}:`, error);
+    }
+
+    this.emit(updated, stream.status);
+    return updated;
+  }
+
+  // Archive an ended stream once every chunk has an Arweave transaction
+  async archiveIfComplete(streamId) {
+    const stream = await findStream(streamId);
+    if (!stream || stream.status !== 'ended') return null;
+
+    const stats = await getChunkStats(streamId);
+    const totalChunks = parseInt(stats.total_chunks);
+    if (totalChunks === 0 || parseInt(stats.archived_chunks) < totalChunks) return null;
+
+    try {
+      return await this.transition(stream, 'archived');
+    } catch (error) {
+      // Another chunk completion archived it first
+      if (error.code === 'STREAM_STATUS_CONFLICT') return null;
+      throw error;
+    }
+  }
+
+  // Notify viewers in the stream's room, e.g. 'stream-live' or 'stream-ended'
+  emit(stream, previousStatus) {
+    if (!this.io) return;
+
+    this.io.to(stream.id).emit(`stream-${stream.status}`, {
+      streamId: stream.id,
+      status: stream.status,
+      previousStatus,
+      scheduledFor: stream.scheduled_for,
+      startedAt: stream.started_at,
+      endedAt: stream.ended_at,
+      archivedAt: stream.archived_at,
+      timestamp: Date.now()
+    });
+  }
+}
+
+// Export as singleton
+module.exports = new StreamLifecycleService();
@@ -0,0 +1,45 @@
+// streamMetadata.js - Versioned stream metadata documents: each one links to its predecessor's hash
+const { promisify } = require('util');
+const { StreamModel } = require('../models/user');
+const IPFSService = require('./ipfs');
+const { createError } = require('./errors');
+
+const findStream = promisify(StreamModel.findById);
+const advanceMetadataHead = promisify(StreamModel.advanceMetadataHead);
+
+// Publishes racing for the same head retry against the new head this many times
+const MAX_PUBLISH_ATTEMPTS = 3;
+
+class StreamMetadataService {
+  // Publish the stream's row, with any column updates applied, as the next metadata version and
+  // make it the head. The updates are saved together with the new head, so a METADATA_CONFLICT
+  // leaves the stream untouched. change describes why ('create', 'edit', 'status' or 'restore').
+  // Returns the updated stream.
+  async publish(stream, { change, updates = {} }) {
+    let current = stream;
+
+    for (let attempt = 0; attempt < MAX_PUBLISH_ATTEMPTS; attempt++) {
+      const metadataHash = await IPFSService.publishStreamMetadata({ ...current, ...updates }, {
+        version: current.metadata_version + 1,
+        previousHash: current.metadata_hash
+      });
+
+      const updated = await advanceMetadataHead(current.id, current.metadata_version, metadataHash, change, updates);
+      if (updated) {
+        console.log(`📝 Stream ${current.id} metadata v${updated.metadata_version}: ${metadataHash}`);
+        return updated;
+      }
+
+      // Another publish moved the head first: rebuild the document from the latest row
+      current = await findStream(current.id);
+      if (!current) {
+        throw createError('Stream not found', 'STREAM_NOT_FOUND');
+      }
+    }
+
+    throw createError('Stream metadata changed, please retry', 'METADATA_CONFLICT');
+  }
+}
+
+// Export as singleton
+module.exports = new StreamMetadataService();
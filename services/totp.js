@@ -0,0 +1,139 @@
+// totp.js - RFC 6238 time-based one-time passwords (compatible with Google Authenticator, 1Password, Authy)
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TOTPService {
+  constructor() {
+    this.digits = 6;
+    this.period = 30; // seconds per time step
+    this.window = 1; // accept one step of clock drift either side
+    this.issuer = process.env.TOTP_ISSUER || 'zipIQ';
+  }
+
+  // Generate a new random shared secret (base32, 160 bits as recommended by RFC 4226)
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character: ${char}`);
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // Current time step counter
+  getCounter(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.period);
+  }
+
+  // HOTP value for a given counter (RFC 4226 dynamic truncation)
+  generateCode(secret, counter = this.getCounter()) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+                   (hmac[offset + 1] << 16) |
+                   (hmac[offset + 2] << 8) |
+                   hmac[offset + 3];
+
+    return (binary % Math.pow(10, this.digits)).toString().padStart(this.digits, '0');
+  }
+
+  // Verify a code and return the matching time step counter, or null if invalid.
+  // Callers should persist the counter and reject codes at or below it to prevent replay.
+  verifyCode(secret, code, timestamp = Date.now()) {
+    if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+      return null;
+    }
+
+    const currentCounter = this.getCounter(timestamp);
+
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const counter = currentCounter + drift;
+      const expected = this.generateCode(secret, counter);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  // Build the otpauth:// URI that authenticator apps read from a QR code
+  buildOtpAuthUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: this.digits.toString(),
+      period: this.period.toString()
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Generate human-friendly single-use recovery codes (e.g. "K7P2-9XQD-M4TA")
+  generateRecoveryCodes(count = 10) {
+    const codes = [];
+
+    for (let i = 0; i < count; i++) {
+      const raw = this.base32Encode(crypto.randomBytes(8)).slice(0, 12);
+      codes.push(raw.match(/.{4}/g).join('-'));
+    }
+
+    return codes;
+  }
+
+  // Normalize user-entered recovery codes so formatting doesn't matter
+  normalizeRecoveryCode(code) {
+    return String(code).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  }
+}
+
+// Export as singleton
+module.exports = new TOTPService();